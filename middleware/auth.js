@@ -1,10 +1,14 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/user');
+const { isSessionActive } = require('../services/session');
+const { hasPermission } = require('../utils/roles');
 
-const auth = async (req, res, next) => {
+// Authenticate with a session-bound token taken by `getToken`. Ordinary
+// access tokens have no purpose; challenge, step-up and events tokens
+// carry one and are only accepted where that purpose is expected.
+const authenticate = (getToken, purpose) => async (req, res, next) => {
   try {
-    // Get token from header
-    const token = req.header('Authorization')?.replace('Bearer ', '');
+    const token = getToken(req);
     
     if (!token) {
       return res.status(401).json({
@@ -16,8 +20,23 @@ const auth = async (req, res, next) => {
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     
+    if (decoded.purpose !== purpose || !decoded.sid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Token is not valid'
+      });
+    }
+
+    // Reject tokens whose session was logged out or revoked
+    if (!(await isSessionActive(decoded.sid))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has been revoked'
+      });
+    }
+
     // Find user by id
-    const user = await User.findById(decoded.userId).select('-password -ssn');
+    const user = await User.findById(decoded.userId).select('-password -ssn -twoFactor -phoneVerification -passwordReset -loginSecurity');
     
     if (!user) {
       return res.status(401).json({
@@ -36,6 +55,7 @@ const auth = async (req, res, next) => {
     // Add user to request
     req.user = user;
     req.token = token;
+    req.sessionId = decoded.sid;
     next();
   } catch (error) {
     res.status(401).json({
@@ -45,15 +65,21 @@ const auth = async (req, res, next) => {
   }
 };
 
-// Admin middleware
-const admin = async (req, res, next) => {
-  if (!req.user.isAdmin) {
+// Access token from the Authorization header
+const auth = authenticate(req => req.header('Authorization')?.replace('Bearer ', ''));
+
+// Events token from ?token=, for EventSource which cannot send headers
+const eventsAuth = authenticate(req => req.query.token, 'events');
+
+// Permission middleware, e.g. requirePermission('transactions:approve')
+const requirePermission = (permission) => (req, res, next) => {
+  if (!hasPermission(req.user.roles, permission)) {
     return res.status(403).json({
       success: false,
-      message: 'Access denied. Admin privileges required.'
+      message: `Access denied. Requires ${permission} permission.`
     });
   }
   next();
 };
 
-module.exports = { auth, admin };
\ No newline at end of file
+module.exports = { auth, eventsAuth, requirePermission };
\ No newline at end of file
@@ -0,0 +1,131 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/idempotencyKey');
+const { stableStringify } = require('../utils/stableStringify');
+
+// How long a stored response can be replayed, in seconds (default 24 hours)
+const getTtlSeconds = () => parseInt(process.env.IDEMPOTENCY_KEY_TTL) || 24 * 60 * 60;
+
+// How long a request holds its key before a retry may take over, in
+// seconds (default 1 minute). Covers requests that die mid-flight.
+const getLockSeconds = () => parseInt(process.env.IDEMPOTENCY_LOCK_TIMEOUT) || 60;
+
+const hashRequest = (req) => crypto
+  .createHash('sha256')
+  .update(`${req.method} ${req.baseUrl}${req.path} ${stableStringify(req.body || {})}`)
+  .digest('hex');
+
+// Honour an Idempotency-Key header on money-moving routes: transfers,
+// scheduling (which creates standing orders) and approval decisions. The
+// first response is stored per user and replayed for retries with the
+// same key. Cancel, pause and resume are left out: they only move from
+// one status to the next, so repeating them changes nothing.
+// Must run after auth.
+const idempotency = async (req, res, next) => {
+  const key = req.header('Idempotency-Key');
+
+  if (!key) return next();
+
+  if (key.length > 255) {
+    return res.status(400).json({
+      success: false,
+      message: 'Idempotency-Key must be at most 255 characters'
+    });
+  }
+
+  try {
+    const requestHash = hashRequest(req);
+    const existing = await IdempotencyKey.findOne({ userId: req.user._id, key });
+    const lockedUntil = new Date(Date.now() + getLockSeconds() * 1000);
+    let record;
+
+    if (existing) {
+      if (existing.requestHash !== requestHash) {
+        return res.status(409).json({
+          success: false,
+          message: 'Idempotency-Key was already used with a different request'
+        });
+      }
+
+      if (existing.response && existing.response.statusCode) {
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(existing.response.statusCode).json(existing.response.body);
+      }
+
+      // Take over a key whose request stopped without answering
+      record = await IdempotencyKey.findOneAndUpdate(
+        {
+          _id: existing._id,
+          'response.statusCode': null,
+          $or: [
+            { lockedUntil: null },
+            { lockedUntil: { $lte: new Date() } }
+          ]
+        },
+        { lockedUntil },
+        { new: true }
+      );
+
+      if (!record) {
+        return res.status(409).json({
+          success: false,
+          message: 'A request with this Idempotency-Key is still being processed'
+        });
+      }
+    } else {
+      try {
+        record = await IdempotencyKey.create({
+          userId: req.user._id,
+          key,
+          requestHash,
+          lockedUntil,
+          expiresAt: new Date(Date.now() + getTtlSeconds() * 1000)
+        });
+      } catch (error) {
+        // Lost the race against a concurrent request with the same key
+        if (error.code === 11000) {
+          return res.status(409).json({
+            success: false,
+            message: 'A request with this Idempotency-Key is still being processed'
+          });
+        }
+        throw error;
+      }
+    }
+
+    // Only the request holding the claim may settle the key
+    const claim = { _id: record._id, lockedUntil: record.lockedUntil };
+
+    // Capture the response so retries get exactly the same answer
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      const statusCode = res.statusCode;
+
+      // Server errors and auth failures (e.g. a missing step-up code) are
+      // not final; let the client retry with the same key
+      const settle = statusCode >= 500 || statusCode === 401 || statusCode === 403
+        ? IdempotencyKey.deleteOne(claim)
+        : IdempotencyKey.updateOne(
+          claim,
+          {
+            response: { statusCode, body },
+            $unset: { lockedUntil: 1 },
+            expiresAt: new Date(Date.now() + getTtlSeconds() * 1000)
+          }
+        );
+
+      settle.catch(err => console.error('Idempotency store error:', err));
+
+      return originalJson(body);
+    };
+
+    next();
+  } catch (error) {
+    console.error('Idempotency error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error checking idempotency key'
+    });
+  }
+};
+
+module.exports = { idempotency };
@@ -0,0 +1,51 @@
+const rateLimit = require('express-rate-limit');
+
+// Stricter limiter for authentication routes, keyed on the email and IP
+// pair so one client cannot hammer a single account
+const authLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: parseInt(process.env.AUTH_RATE_LIMIT_MAX) || 10,
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => {
+    const email = typeof req.body?.email === 'string'
+      ? req.body.email.trim().toLowerCase()
+      : '';
+    return `${req.ip}|${email}`;
+  },
+  message: {
+    success: false,
+    message: 'Too many attempts, please try again later'
+  }
+});
+
+// Adding a payee reveals the account holder's name, so lookups are
+// limited per customer to stop names being harvested by account number.
+// Must run after auth.
+const payeeLookupLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: parseInt(process.env.PAYEE_LOOKUP_RATE_LIMIT_MAX) || 10,
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => req.user._id.toString(),
+  message: {
+    success: false,
+    message: 'Too many payee lookups, please try again later'
+  }
+});
+
+// Routes that email or text a code to the signed-in customer, keyed on
+// the customer so one session cannot run up messages. Must run after auth.
+const codeSendLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: parseInt(process.env.CODE_SEND_RATE_LIMIT_MAX) || 5,
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => `${req.path}|${req.user._id}`,
+  message: {
+    success: false,
+    message: 'Too many codes requested, please try again later'
+  }
+});
+
+module.exports = { authLimiter, payeeLookupLimiter, codeSendLimiter };
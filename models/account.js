@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+const { SUPPORTED_CURRENCIES, integerAmount } = require('../utils/money');
+
+const accountSchema = new mongoose.Schema({
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  accountNumber: {
+    type: String,
+    required: true,
+    unique: true,
+    length: 10
+  },
+  accountType: {
+    type: String,
+    enum: ['checking', 'savings', 'business'],
+    default: 'checking'
+  },
+  nickname: {
+    type: String,
+    trim: true,
+    maxlength: 50
+  },
+  currency: {
+    type: String,
+    enum: SUPPORTED_CURRENCIES,
+    default: 'USD',
+    immutable: true
+  },
+  // In minor units of the account currency
+  balance: {
+    type: Number,
+    default: 0,
+    min: 0,
+    validate: integerAmount
+  },
+  status: {
+    type: String,
+    enum: ['active', 'suspended', 'closed'],
+    default: 'active'
+  },
+  closedAt: Date
+}, {
+  timestamps: true
+});
+
+accountSchema.index({ customer: 1, status: 1 });
+
+// Generate account number
+accountSchema.statics.generateAccountNumber = async function() {
+  let accountNumber;
+  let isUnique = false;
+  
+  while (!isUnique) {
+    accountNumber = Math.floor(1000000000 + Math.random() * 9000000000).toString();
+    const existingAccount = await this.findOne({ accountNumber });
+    if (!existingAccount) isUnique = true;
+  }
+  
+  return accountNumber;
+};
+
+// Find an account by number that belongs to the given customer
+accountSchema.statics.findOwned = function(customerId, accountNumber) {
+  return this.findOne({ customer: customerId, accountNumber });
+};
+
+const accountModel = mongoose.model('Account', accountSchema);
+
+module.exports = accountModel
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+// Append-only, hash-chained record of sensitive actions. Each event stores
+// the hash of the one before it, so editing or deleting an event breaks
+// the chain from that point on (see services/audit.js verifyChain).
+const auditEventSchema = new mongoose.Schema({
+  sequence: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  action: {
+    type: String,
+    required: true
+  },
+  target: {
+    type: {
+      type: String
+    },
+    id: String
+  },
+  outcome: {
+    type: String,
+    enum: ['success', 'failure'],
+    default: 'success'
+  },
+  // Changed fields only: { field: { from, to } }
+  changes: mongoose.Schema.Types.Mixed,
+  metadata: mongoose.Schema.Types.Mixed,
+  ipAddress: String,
+  userAgent: String,
+  prevHash: {
+    type: String,
+    required: true
+  },
+  hash: {
+    type: String,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    immutable: true
+  }
+}, {
+  versionKey: false,
+  minimize: false
+});
+
+// Events can only ever be inserted
+auditEventSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Audit events are immutable'));
+  }
+  next();
+});
+
+const rejectMutation = function(next) {
+  next(new Error('Audit events are immutable'));
+};
+
+auditEventSchema.pre([
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'findOneAndReplace',
+  'replaceOne',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete',
+  'findOneAndRemove'
+], rejectMutation);
+
+auditEventSchema.index({ actor: 1, createdAt: -1 });
+auditEventSchema.index({ action: 1, createdAt: -1 });
+auditEventSchema.index({ 'target.type': 1, 'target.id': 1, createdAt: -1 });
+auditEventSchema.index({ createdAt: -1 });
+
+const auditEventModel = mongoose.model('AuditEvent', auditEventSchema);
+
+module.exports = auditEventModel
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+const { SUPPORTED_CURRENCIES, integerAmount } = require('../utils/money');
+
+// Monthly spending limit for one category, checked against completed
+// debits in the same currency (see services/budgets.js)
+const budgetSchema = new mongoose.Schema({
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Spending category, or a transaction category such as 'transfer' for
+  // uncategorized spending
+  category: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true
+  },
+  // In minor units of `currency`
+  amount: {
+    type: Number,
+    required: true,
+    min: 1,
+    validate: integerAmount
+  },
+  currency: {
+    type: String,
+    enum: SUPPORTED_CURRENCIES,
+    required: true
+  },
+  // Highest alert sent for the month starting alertPeriod (80 or 100), so
+  // each threshold is only announced once a month
+  alertPeriod: Date,
+  alertLevel: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+budgetSchema.index({ customer: 1, category: 1, currency: 1 }, { unique: true });
+
+const budgetModel = mongoose.model('Budget', budgetSchema);
+
+module.exports = budgetModel
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// Customer-defined rule that sets the spending category of matching
+// transactions. Rules are tried in priority order (lowest first); the
+// first match wins. Categories set by hand are never overwritten.
+const categoryRuleSchema = new mongoose.Schema({
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  category: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true
+  },
+  // description: the transaction description
+  // counterparty: the other party's name, or their account number
+  field: {
+    type: String,
+    enum: ['description', 'counterparty'],
+    required: true
+  },
+  matchType: {
+    type: String,
+    enum: ['contains', 'equals'],
+    default: 'contains'
+  },
+  // Matched case-insensitively
+  pattern: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  priority: {
+    type: Number,
+    default: 100
+  }
+}, {
+  timestamps: true
+});
+
+categoryRuleSchema.index({ customer: 1, priority: 1, createdAt: 1 });
+
+const categoryRuleModel = mongoose.model('CategoryRule', categoryRuleSchema);
+
+module.exports = categoryRuleModel
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+const idempotencyKeySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  // Fingerprint of method, path and body of the first request
+  requestHash: {
+    type: String,
+    required: true
+  },
+  // Unset while the first request is still being processed
+  response: {
+    statusCode: Number,
+    body: mongoose.Schema.Types.Mixed
+  },
+  // The request processing the key holds it until then; after that a
+  // retry may take over
+  lockedUntil: Date,
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+idempotencyKeySchema.index({ userId: 1, key: 1 }, { unique: true });
+// MongoDB removes documents once expiresAt has passed
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const idempotencyKeyModel = mongoose.model('IdempotencyKey', idempotencyKeySchema);
+
+module.exports = idempotencyKeyModel
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+const { integerAmount } = require('../utils/money');
+
+// Append-only record of every balance change. An account's balance is the
+// sum of its entries; balanceAfter is the running balance after posting.
+// Amounts are integers in minor units of the account currency.
+const ledgerEntrySchema = new mongoose.Schema({
+  account: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    required: true
+  },
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  currency: String,
+  amount: {
+    type: Number,
+    required: true,
+    validate: integerAmount
+  },
+  balanceAfter: {
+    type: Number,
+    required: true,
+    validate: integerAmount
+  },
+  description: String,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    immutable: true
+  }
+}, {
+  versionKey: false
+});
+
+// Entries can only ever be inserted
+ledgerEntrySchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Ledger entries are immutable'));
+  }
+  next();
+});
+
+const rejectMutation = function(next) {
+  next(new Error('Ledger entries are immutable'));
+};
+
+ledgerEntrySchema.pre([
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'findOneAndReplace',
+  'replaceOne',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete',
+  'findOneAndRemove'
+], rejectMutation);
+
+ledgerEntrySchema.index({ account: 1, _id: 1 });
+ledgerEntrySchema.index({ transaction: 1 });
+
+const ledgerEntryModel = mongoose.model('LedgerEntry', ledgerEntrySchema);
+
+module.exports = ledgerEntryModel
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// Transfer limits and fee schedule for an account type, or a per-customer
+// override of it when `customer` is set. Amounts are integers in minor
+// units of the limit currency (USD). A field left unset inherits from the
+// account type (and then the built-in defaults in services/limits.js);
+// null means no cap.
+const optionalInteger = {
+  type: Number,
+  min: 0,
+  validate: {
+    validator: (value) => value === null || Number.isInteger(value),
+    message: '{PATH} must be an integer'
+  }
+};
+
+const limitPolicySchema = new mongoose.Schema({
+  accountType: {
+    type: String,
+    enum: ['checking', 'savings', 'business'],
+    required: true
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  perTransactionLimit: optionalInteger,
+  dailyLimit: optionalInteger,
+  weeklyLimit: optionalInteger,
+  monthlyLimit: optionalInteger,
+  // Outgoing payments per calendar month (savings accounts)
+  monthlyWithdrawalLimit: optionalInteger,
+  fee: {
+    type: {
+      type: String,
+      enum: ['none', 'flat', 'percentage']
+    },
+    flatAmount: optionalInteger,
+    // Percentage fees in basis points (25 = 0.25%)
+    percentageBps: optionalInteger,
+    minimum: optionalInteger,
+    maximum: optionalInteger
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+limitPolicySchema.index({ accountType: 1, customer: 1 }, { unique: true });
+limitPolicySchema.index({ customer: 1 });
+
+const limitPolicyModel = mongoose.model('LimitPolicy', limitPolicySchema);
+
+module.exports = limitPolicyModel
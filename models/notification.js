@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// One message to one user over one channel. Doubles as the delivery queue:
+// queued messages are sent by the notification service and retried with
+// backoff until they are sent or run out of attempts.
+const notificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  channel: {
+    type: String,
+    enum: ['email', 'sms', 'push'],
+    required: true
+  },
+  // Email address or phone number; the user id for push
+  to: {
+    type: String,
+    required: true
+  },
+  subject: String,
+  text: {
+    type: String,
+    required: true
+  },
+  html: String,
+  status: {
+    type: String,
+    enum: ['queued', 'sent', 'failed'],
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Claimed by a worker until then
+  lockedUntil: Date,
+  lastError: String,
+  sentAt: Date
+}, {
+  timestamps: true
+});
+
+notificationSchema.index({ status: 1, nextAttemptAt: 1 });
+notificationSchema.index({ user: 1, createdAt: -1 });
+
+const notificationModel = mongoose.model('Notification', notificationSchema);
+
+module.exports = notificationModel
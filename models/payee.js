@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// A saved beneficiary in a customer's payee book. `name` is the account
+// holder's name as looked up when the payee was added, not what the
+// customer typed.
+const payeeSchema = new mongoose.Schema({
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  account: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    required: true
+  },
+  accountNumber: {
+    type: String,
+    required: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  nickname: {
+    type: String,
+    trim: true,
+    maxlength: 50
+  },
+  // Transfers to the payee are capped until then
+  coolingOffUntil: {
+    type: Date,
+    required: true
+  },
+  lastUsedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  versionKey: false
+});
+
+payeeSchema.virtual('coolingOff').get(function() {
+  return this.coolingOffUntil > new Date();
+});
+
+payeeSchema.set('toJSON', { virtuals: true });
+
+payeeSchema.index({ customer: 1, accountNumber: 1 }, { unique: true });
+
+const payeeModel = mongoose.model('Payee', payeeSchema);
+
+module.exports = payeeModel
@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+const { SUPPORTED_CURRENCIES, integerAmount } = require('../utils/money');
+
+// A savings target funded by automatic sweeps from one of the customer's
+// accounts (usually checking) into another (usually savings):
+//  - roundup: once a day, the spare change from rounding up each debit
+//    since the last sweep
+//  - fixed: a set amount every month on payday
+const savingsGoalSchema = new mongoose.Schema({
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Minor units of the savings account currency
+  targetAmount: {
+    type: Number,
+    required: true,
+    min: 1,
+    validate: integerAmount
+  },
+  currency: {
+    type: String,
+    enum: SUPPORTED_CURRENCIES,
+    required: true
+  },
+  targetDate: Date,
+  fromAccount: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    required: true
+  },
+  toAccount: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    required: true
+  },
+  sweep: {
+    type: {
+      type: String,
+      enum: ['none', 'roundup', 'fixed'],
+      default: 'none'
+    },
+    // roundup: round each debit up to a multiple of this (minor units of
+    // the source account currency, default 100 = one whole unit)
+    roundTo: {
+      type: Number,
+      min: 1,
+      validate: integerAmount
+    },
+    // fixed: minor units of the source account currency
+    amount: {
+      type: Number,
+      min: 1,
+      validate: integerAmount
+    },
+    // fixed: payday
+    dayOfMonth: {
+      type: Number,
+      min: 1,
+      max: 31
+    }
+  },
+  // Swept so far, in minor units of `currency`
+  savedAmount: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['active', 'paused', 'completed', 'cancelled'],
+    default: 'active'
+  },
+  nextSweepAt: Date,
+  // Debits up to this time have been rounded up already
+  roundUpCursor: Date,
+  lastSweepAt: Date,
+  lastSweepError: String,
+  completedAt: Date,
+  // Claimed by a scheduler instance until then
+  lockedUntil: Date
+}, {
+  timestamps: true
+});
+
+savingsGoalSchema.index({ customer: 1, createdAt: -1 });
+savingsGoalSchema.index({ status: 1, nextSweepAt: 1 });
+
+const savingsGoalModel = mongoose.model('SavingsGoal', savingsGoalSchema);
+
+module.exports = savingsGoalModel
@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+const { SUPPORTED_CURRENCIES, integerAmount } = require('../utils/money');
+
+// A scheduled transfer, either one-off or recurring. Each run creates a
+// normal transfer through the transfer service.
+const standingOrderSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  fromAccount: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  toAccount: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  recipientName: String,
+  // In minor units of the source account currency
+  amount: {
+    type: Number,
+    required: true,
+    min: 1,
+    validate: integerAmount
+  },
+  currency: {
+    type: String,
+    enum: SUPPORTED_CURRENCIES,
+    default: 'USD'
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  schedule: {
+    frequency: {
+      type: String,
+      enum: ['once', 'daily', 'weekly', 'monthly'],
+      default: 'once'
+    },
+    // Every N days / weeks / months
+    interval: {
+      type: Number,
+      default: 1,
+      min: 1
+    },
+    // For monthly orders; clamped to the last day of shorter months
+    dayOfMonth: {
+      type: Number,
+      min: 1,
+      max: 31
+    }
+  },
+  nextRunAt: Date,
+  endDate: Date,
+  maxOccurrences: {
+    type: Number,
+    min: 1
+  },
+  occurrences: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['active', 'paused', 'cancelled', 'completed'],
+    default: 'active'
+  },
+  lastRunAt: Date,
+  lastRunStatus: {
+    type: String,
+    enum: ['completed', 'held', 'failed']
+  },
+  lastError: String,
+  // Set while a scheduler instance is executing this order
+  lockedUntil: Date,
+  metadata: {
+    ipAddress: String,
+    userAgent: String
+  }
+}, {
+  timestamps: true
+});
+
+standingOrderSchema.index({ status: 1, nextRunAt: 1 });
+standingOrderSchema.index({ userId: 1, createdAt: -1 });
+
+const standingOrderModel = mongoose.model('StandingOrder', standingOrderSchema);
+
+module.exports = standingOrderModel
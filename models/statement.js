@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+const { integerAmount } = require('../utils/money');
+
+// Archived monthly statement. The rendered PDF and CSV are kept so a past
+// statement downloads exactly as it was issued. Amounts are integers in
+// minor units of the account currency.
+const statementSchema = new mongoose.Schema({
+  account: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    required: true
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  accountNumber: String,
+  currency: String,
+  // Period covered: periodStart inclusive, periodEnd exclusive
+  periodStart: {
+    type: Date,
+    required: true
+  },
+  periodEnd: {
+    type: Date,
+    required: true
+  },
+  openingBalance: {
+    type: Number,
+    validate: integerAmount
+  },
+  closingBalance: {
+    type: Number,
+    validate: integerAmount
+  },
+  totalIn: {
+    type: Number,
+    validate: integerAmount
+  },
+  totalOut: {
+    type: Number,
+    validate: integerAmount
+  },
+  lineCount: Number,
+  pdf: {
+    type: Buffer,
+    select: false
+  },
+  csv: {
+    type: String,
+    select: false
+  },
+  generatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  versionKey: false
+});
+
+statementSchema.index({ account: 1, periodStart: 1 }, { unique: true });
+statementSchema.index({ customer: 1, periodStart: -1 });
+
+const statementModel = mongoose.model('Statement', statementSchema);
+
+module.exports = statementModel
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { SUPPORTED_CURRENCIES, integerAmount } = require('../utils/money');
 
 const transactionSchema = new mongoose.Schema({
   userId: {
@@ -6,6 +7,11 @@ const transactionSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Account this record belongs to (the customer may hold several)
+  accountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account'
+  },
   transactionId: {
     type: String,
     required: true,
@@ -16,13 +22,16 @@ const transactionSchema = new mongoose.Schema({
     enum: ['credit', 'debit', 'transfer'],
     required: true
   },
+  // Amounts are integers in minor units of `currency`
   amount: {
     type: Number,
     required: true,
-    min: 0.01
+    min: 1,
+    validate: integerAmount
   },
   currency: {
     type: String,
+    enum: SUPPORTED_CURRENCIES,
     default: 'USD'
   },
   description: {
@@ -40,16 +49,55 @@ const transactionSchema = new mongoose.Schema({
     enum: ['transfer', 'deposit', 'withdrawal', 'payment', 'refund', 'fee', 'interest'],
     required: true
   },
+  // What the money was for (groceries, rent, ...), for spending analytics.
+  // Set by the customer or one of their categorization rules; analytics
+  // fall back to `category` when unset.
+  spendingCategory: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  categorySource: {
+    type: String,
+    enum: ['user', 'rule']
+  },
+  categoryRule: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CategoryRule'
+  },
   sender: {
     name: String,
     accountNumber: String,
-    userId: mongoose.Schema.Types.ObjectId
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    accountId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Account'
+    }
   },
   receiver: {
     name: String,
     accountNumber: String,
-    userId: Number
-    // userId: mongoose.Schema.Types.ObjectId
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    accountId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Account'
+    }
+  },
+  // Saved payee the transfer was sent to
+  payee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payee'
+  },
+  // The other leg of a double-entry transfer (debit <-> credit)
+  linkedTransaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
   },
   metadata: {
     ipAddress: String,
@@ -59,14 +107,81 @@ const transactionSchema = new mongoose.Schema({
   },
   fees: {
     type: Number,
-    default: 0
+    default: 0,
+    validate: integerAmount
   },
   netAmount: {
     type: Number,
-    required: true
+    required: true,
+    validate: integerAmount
+  },
+  // Conversion details for cross-currency transfers
+  fx: {
+    rate: Number,
+    sourceCurrency: String,
+    targetCurrency: String,
+    sourceAmount: Number,
+    targetAmount: Number,
+    spreadFee: Number
   },
   notes: String,
+  // Risk engine decision for outgoing transfers
+  risk: {
+    score: Number,
+    decision: {
+      type: String,
+      enum: ['allow', 'review', 'block']
+    },
+    reasons: [{
+      _id: false,
+      rule: String,
+      score: Number,
+      reason: String
+    }],
+    evaluatedAt: Date
+  },
+  // Maker-checker workflow for pending transactions: one operator proposes
+  // a final status, a different operator confirms it
+  approval: {
+    proposedStatus: {
+      type: String,
+      enum: ['completed', 'failed', 'cancelled']
+    },
+    proposedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    proposedAt: Date,
+    reason: String,
+    history: [{
+      _id: false,
+      actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      action: {
+        type: String,
+        enum: ['proposed', 'confirmed', 'declined']
+      },
+      status: String,
+      reason: String,
+      at: {
+        type: Date,
+        default: Date.now
+      }
+    }]
+  },
   scheduledFor: Date,
+  // Standing order that created this transaction, if any
+  standingOrder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StandingOrder'
+  },
+  // Savings goal sweep that created this transaction, if any
+  savingsGoal: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SavingsGoal'
+  },
   completedAt: Date,
   createdAt: {
     type: Date,
@@ -83,9 +198,18 @@ transactionSchema.statics.generateTransactionId = function() {
   return `TRX${timestamp}${random}`;
 };
 
+// Internal review details customers do not see; use as a projection
+transactionSchema.statics.CUSTOMER_HIDDEN_FIELDS = '-risk -approval';
+
 // Indexes for faster queries
 transactionSchema.index({ userId: 1, createdAt: -1 });
+transactionSchema.index({ accountId: 1, createdAt: -1 });
+transactionSchema.index({ userId: 1, categorySource: 1 });
 transactionSchema.index({ status: 1 });
+transactionSchema.index({ standingOrder: 1, scheduledFor: 1 });
+transactionSchema.index({ savingsGoal: 1, status: 1 });
+transactionSchema.index({ status: 1, 'approval.proposedStatus': 1, createdAt: 1 });
+transactionSchema.index({ 'risk.decision': 1, createdAt: -1 });
 transactionSchema.index({ 'sender.accountNumber': 1 });
 transactionSchema.index({ 'receiver.accountNumber': 1 });
 
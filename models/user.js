@@ -1,13 +1,14 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { ROLES } = require('../utils/roles');
+
+const notificationChannels = {
+  email: Boolean,
+  sms: Boolean,
+  push: Boolean
+};
 
 const userSchema = new mongoose.Schema({
-  accountNumber: {
-    type: String,
-    required: true,
-    unique: true,
-    length: 10
-  },
   email: {
     type: String,
     required: true,
@@ -46,36 +47,101 @@ const userSchema = new mongoose.Schema({
     required: true,
     unique: true
   },
-  balance: {
-    type: Number,
-    default: 0,
-    min: 0
-  },
-  accountType: {
-    type: String,
-    enum: ['checking', 'savings', 'business'],
-    default: 'checking'
-  },
   status: {
     type: String,
     enum: ['active', 'suspended', 'closed'],
     default: 'active'
   },
+  // Staff roles, see utils/roles.js. Empty for customers.
+  roles: {
+    type: [{
+      type: String,
+      enum: ROLES
+    }],
+    default: []
+  },
+  // New address awaiting verification; email only changes once verified
+  pendingEmail: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
   emailVerified: {
     type: Boolean,
     default: false
   },
+  // Last verification link sent, to space out resends
+  emailVerificationSentAt: Date,
   phoneVerified: {
     type: Boolean,
     default: false
   },
+  phoneVerification: {
+    hash: String,
+    expiresAt: Date,
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    sentAt: Date
+  },
   twoFactorEnabled: {
     type: Boolean,
     default: false
   },
+  // Second-factor secrets. Never returned to clients (see toJSON)
+  twoFactor: {
+    secret: String,
+    // Secret awaiting confirmation during enrollment
+    pendingSecret: String,
+    // Last TOTP time step accepted, so a code cannot be replayed
+    lastUsedStep: Number,
+    // SHA-256 hashes of unused recovery codes
+    recoveryCodes: [String],
+    emailCode: {
+      hash: String,
+      expiresAt: Date,
+      attempts: {
+        type: Number,
+        default: 0
+      },
+      sentAt: Date
+    }
+  },
   lastLogin: {
     type: Date
   },
+  passwordChangedAt: Date,
+  emailChangedAt: Date,
+  // Failed sign-in tracking for brute-force protection
+  loginSecurity: {
+    failedAttempts: {
+      type: Number,
+      default: 0
+    },
+    lastFailedAt: Date,
+    // Progressive delay: no attempts accepted before this time
+    nextAttemptAt: Date,
+    lockedUntil: Date
+  },
+  // Channels per notification event; unset channels use the defaults in
+  // services/notifications.js
+  notificationPreferences: {
+    fundsReceived: notificationChannels,
+    transferSent: notificationChannels,
+    lowBalance: notificationChannels,
+    newDeviceLogin: notificationChannels,
+    transactionFailed: notificationChannels,
+    accountStatusChanged: notificationChannels,
+    budgetAlert: notificationChannels,
+    // Minor units of the limit currency; null turns the alert off
+    lowBalanceThreshold: Number
+  },
+  // Hash of the emailed reset token; the token itself is never stored
+  passwordReset: {
+    tokenHash: String,
+    expiresAt: Date
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -88,6 +154,12 @@ const userSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Remember when the sign-in email last changed (used by risk scoring)
+userSchema.pre('save', function(next) {
+  if (this.isModified('email') && !this.isNew) this.emailChangedAt = new Date();
+  next();
+});
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
@@ -95,6 +167,7 @@ userSchema.pre('save', async function(next) {
   try {
     const salt = await bcrypt.genSalt(parseInt(process.env.SALT_ROUNDS));
     this.password = await bcrypt.hash(this.password, salt);
+    if (!this.isNew) this.passwordChangedAt = new Date();
     next();
   } catch (error) {
     next(error);
@@ -111,23 +184,16 @@ userSchema.methods.toJSON = function() {
   const user = this.toObject();
   delete user.password;
   delete user.ssn;
+  delete user.twoFactor;
+  delete user.phoneVerification;
+  delete user.emailVerificationSentAt;
+  delete user.passwordReset;
+  delete user.loginSecurity;
   delete user.__v;
   return user;
 };
 
-// Generate account number
-userSchema.statics.generateAccountNumber = async function() {
-  let accountNumber;
-  let isUnique = false;
-  
-  while (!isUnique) {
-    accountNumber = Math.floor(1000000000 + Math.random() * 9000000000).toString();
-    const existingUser = await this.findOne({ accountNumber });
-    if (!existingUser) isUnique = true;
-  }
-  
-  return accountNumber;
-};
+userSchema.index({ 'passwordReset.tokenHash': 1 }, { sparse: true });
 
 const userModel = mongoose.model('User', userSchema);
 
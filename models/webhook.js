@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// An outbound webhook subscription. Business customers receive events for
+// their own transactions and accounts ('own'); staff with webhooks:manage
+// can subscribe to events for every customer ('all').
+const webhookSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  url: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Event names, see services/webhooks.js
+  events: {
+    type: [String],
+    required: true
+  },
+  scope: {
+    type: String,
+    enum: ['own', 'all'],
+    default: 'own'
+  },
+  // HMAC key for the X-Webhook-Signature header. Shown to the owner only
+  // when the webhook is created or the secret is rotated.
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  active: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+webhookSchema.index({ owner: 1, createdAt: -1 });
+webhookSchema.index({ active: 1, events: 1, scope: 1 });
+
+const webhookModel = mongoose.model('Webhook', webhookSchema);
+
+module.exports = webhookModel
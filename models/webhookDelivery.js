@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+// One event sent to one webhook, with every attempt made. Doubles as the
+// retry queue: pending deliveries are retried with exponential backoff
+// until they succeed or run out of attempts.
+const webhookDeliverySchema = new mongoose.Schema({
+  webhook: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webhook',
+    required: true
+  },
+  // Shared by every delivery of the same event, and by redeliveries, so
+  // receivers can de-duplicate
+  eventId: {
+    type: String,
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  // Exact JSON body sent; signed again on every attempt
+  payload: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'succeeded', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Claimed by a worker until then
+  lockedUntil: Date,
+  attemptLog: [{
+    _id: false,
+    at: Date,
+    responseStatus: Number,
+    error: String,
+    durationMs: Number
+  }],
+  lastResponseStatus: Number,
+  lastError: String,
+  deliveredAt: Date,
+  // Set on manual redeliveries
+  redeliveryOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookDelivery'
+  },
+  redeliveredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+
+const webhookDeliveryModel = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+
+module.exports = webhookDeliveryModel
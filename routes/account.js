@@ -1,16 +1,61 @@
 const express = require('express');
 const router = express.Router();
+const { body, validationResult } = require('express-validator');
 const { auth } = require('../middleware/auth');
 const User = require('../models/user');
+const Account = require('../models/account');
 const Transaction = require('../models/transaction');
+const Statement = require('../models/statement');
+const Notification = require('../models/notification');
+const { convert } = require('../services/exchangeRates');
+const { sendEmailVerification } = require('../services/verification');
+const audit = require('../services/audit');
+const statements = require('../services/statements');
+const notifications = require('../services/notifications');
+const { LIMIT_CURRENCY } = require('../services/limits');
+const HttpError = require('../utils/httpError');
+const { paginate } = require('../utils/pagination');
+const { toMinor } = require('../utils/money');
+const { parsePeriod } = require('../utils/period');
+
+const REPORTING_CURRENCY = process.env.REPORTING_CURRENCY || 'USD';
 
 // Get account dashboard data
 router.get('/dashboard', auth, async (req, res) => {
   try {
     const user = req.user;
+
+    const accounts = await Account.find({
+      customer: user._id,
+      status: { $ne: 'closed' }
+    }).sort({ createdAt: 1 });
+
+    // Optionally scope the dashboard to one account
+    let scope = { userId: user._id };
+    let selectedAccount = null;
+
+    if (req.query.account) {
+      selectedAccount = accounts.find(a => a.accountNumber === req.query.account);
+
+      if (!selectedAccount) {
+        return res.status(404).json({
+          success: false,
+          message: 'Account not found'
+        });
+      }
+
+      scope = { userId: user._id, accountId: selectedAccount._id };
+    }
+
+    // Net worth across accounts, converted to the reporting currency
+    let netWorth = 0;
+    for (const account of accounts) {
+      netWorth += (await convert(account.balance, account.currency, REPORTING_CURRENCY)).amount;
+    }
     
     // Get recent transactions
-    const recentTransactions = await Transaction.find({ userId: user._id })
+    const recentTransactions = await Transaction.find(scope)
+      .select(Transaction.CUSTOMER_HIDDEN_FIELDS)
       .sort({ createdAt: -1 })
       .limit(5);
     
@@ -21,14 +66,14 @@ router.get('/dashboard', auth, async (req, res) => {
     const recentStats = await Transaction.aggregate([
       {
         $match: {
-          userId: user._id,
+          ...scope,
           createdAt: { $gte: thirtyDaysAgo },
           status: 'completed'
         }
       },
       {
         $group: {
-          _id: null,
+          _id: '$currency',
           totalSpent: {
             $sum: {
               $cond: [{ $eq: ['$type', 'debit'] }, '$amount', 0]
@@ -41,21 +86,30 @@ router.get('/dashboard', auth, async (req, res) => {
           },
           transactionCount: { $sum: 1 }
         }
+      },
+      {
+        $project: {
+          _id: 0,
+          currency: '$_id',
+          totalSpent: 1,
+          totalReceived: 1,
+          transactionCount: 1
+        }
       }
     ]);
 
     const dashboardData = {
       user: user.toJSON(),
-      balance: user.balance,
-      accountNumber: user.accountNumber,
+      accounts,
+      account: selectedAccount,
+      balance: selectedAccount ? selectedAccount.balance : netWorth,
+      currency: selectedAccount ? selectedAccount.currency : REPORTING_CURRENCY,
       recentTransactions,
-      stats: recentStats[0] || {
-        totalSpent: 0,
-        totalReceived: 0,
-        transactionCount: 0
-      },
+      // One entry per currency, amounts in minor units
+      stats: recentStats,
       creditScore: 750, // This would come from a credit bureau API
-      netWorth: user.balance
+      netWorth,
+      netWorthCurrency: REPORTING_CURRENCY
     };
 
     res.json({
@@ -91,7 +145,9 @@ router.get('/details', auth, async (req, res) => {
 router.put('/update', auth, async (req, res) => {
   try {
     const updates = req.body;
-    const allowedUpdates = ['name', 'phone', 'address', 'email'];
+    const allowedUpdates = ['name', 'phone', 'address'];
+    const auditedFields = [...allowedUpdates, 'phoneVerified', 'pendingEmail'];
+    const before = req.user.toObject();
     
     // Filter only allowed updates
     Object.keys(updates).forEach(key => {
@@ -100,12 +156,53 @@ router.put('/update', auth, async (req, res) => {
       }
     });
 
+    // A new phone number has to be verified again
+    if (req.user.isModified('phone')) {
+      req.user.phoneVerified = false;
+    }
+
+    // A new email only takes effect once the link sent to it is opened
+    let emailChangePending = false;
+    if (updates.email) {
+      const email = String(updates.email).trim().toLowerCase();
+
+      if (email !== req.user.email) {
+        const taken = await User.exists({ email, _id: { $ne: req.user._id } });
+
+        if (taken) {
+          return res.status(400).json({
+            success: false,
+            message: 'This email address is already in use'
+          });
+        }
+
+        req.user.pendingEmail = email;
+        emailChangePending = true;
+      }
+    }
+
     req.user.updatedAt = new Date();
     await req.user.save();
 
+    const after = req.user.toObject();
+    await audit.record({
+      actor: req.user._id,
+      action: 'account.update',
+      target: { type: 'user', id: req.user._id },
+      before: Object.fromEntries(auditedFields.map(field => [field, before[field]])),
+      after: Object.fromEntries(auditedFields.map(field => [field, after[field]])),
+      req
+    });
+
+    if (emailChangePending) {
+      await sendEmailVerification(req.user);
+    }
+
     res.json({
       success: true,
-      message: 'Account updated successfully',
+      message: emailChangePending
+        ? 'Account updated. Check your new email address to confirm the change.'
+        : 'Account updated successfully',
       user: req.user
     });
 
@@ -117,64 +214,64 @@ router.put('/update', auth, async (req, res) => {
   }
 });
 
-// Get account statement
+const statementFilename = (accountNumber, start, extension) => (
+  `statement-${accountNumber}-${start.toISOString().slice(0, 10)}.${extension}`
+);
+
+// Get account statement as JSON, CSV or PDF
 router.get('/statement', auth, async (req, res) => {
   try {
-    const { startDate, endDate, format = 'json' } = req.query;
-    
-    let query = { userId: req.user._id };
-    
-    if (startDate && endDate) {
-      query.createdAt = {
-        $gte: new Date(startDate),
-        $lte: new Date(endDate)
-      };
+    const { account, format = 'json' } = req.query;
+
+    if (!account) {
+      return res.status(400).json({
+        success: false,
+        message: 'account query parameter is required'
+      });
     }
 
-    const transactions = await Transaction.find(query)
-      .sort({ createdAt: -1 });
+    if (!['json', 'csv', 'pdf'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'format must be json, csv or pdf'
+      });
+    }
 
-    const statementData = {
-      user: {
-        name: req.user.name,
-        accountNumber: req.user.accountNumber,
-        email: req.user.email
-      },
-      period: {
-        startDate: startDate || new Date(Date.now() - 30 * 24 * 60 * 60 * 1000),
-        endDate: endDate || new Date()
-      },
-      openingBalance: 0, // Would need to calculate from previous period
-      closingBalance: req.user.balance,
-      transactions,
-      summary: {
-        totalCredits: transactions
-          .filter(t => t.type === 'credit' && t.status === 'completed')
-          .reduce((sum, t) => sum + t.amount, 0),
-        totalDebits: transactions
-          .filter(t => t.type === 'debit' && t.status === 'completed')
-          .reduce((sum, t) => sum + t.amount, 0),
-        totalFees: transactions
-          .reduce((sum, t) => sum + (t.fees || 0), 0)
-      }
-    };
+    const statementAccount = await Account.findOwned(req.user._id, account);
 
-    if (format === 'pdf') {
-      // Generate PDF statement
-      // This would use a PDF generation library like pdfkit
-      return res.json({
-        success: true,
-        message: 'PDF generation would happen here',
-        data: statementData
+    if (!statementAccount) {
+      return res.status(404).json({
+        success: false,
+        message: 'Account not found'
       });
     }
 
+    const period = parsePeriod(req.query);
+    const statement = await statements.buildStatement(statementAccount, period);
+
+    if (format === 'csv') {
+      res.attachment(statementFilename(statementAccount.accountNumber, period.start, 'csv'));
+      return res.type('text/csv').send(statements.renderCsv(statement));
+    }
+
+    if (format === 'pdf') {
+      res.attachment(statementFilename(statementAccount.accountNumber, period.start, 'pdf'));
+      return res.type('application/pdf').send(statements.renderPdf(statement));
+    }
+
     res.json({
       success: true,
-      data: statementData
+      data: statement
     });
 
   } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     console.error('Statement error:', error);
     res.status(500).json({
       success: false,
@@ -183,4 +280,209 @@ router.get('/statement', auth, async (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+// Archived monthly statements, newest first
+router.get('/statements', auth, async (req, res) => {
+  try {
+    const query = { customer: req.user._id };
+
+    if (req.query.account) {
+      const owned = await Account.findOwned(req.user._id, req.query.account);
+
+      if (!owned) {
+        return res.status(404).json({
+          success: false,
+          message: 'Account not found'
+        });
+      }
+
+      query.account = owned._id;
+    }
+
+    const archived = await paginate(Statement, query, req.query, {
+      sortFields: ['periodStart'],
+      defaultSort: { periodStart: -1 }
+    });
+
+    res.json({
+      success: true,
+      data: archived
+    });
+
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching statements'
+    });
+  }
+});
+
+// Download an archived statement (?format=pdf|csv, default pdf)
+router.get('/statements/:id', auth, async (req, res) => {
+  try {
+    const format = req.query.format || 'pdf';
+
+    if (!['csv', 'pdf'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'format must be csv or pdf'
+      });
+    }
+
+    const statement = await Statement.findOne({
+      _id: req.params.id,
+      customer: req.user._id
+    }).select(`+${format}`);
+
+    if (!statement) {
+      return res.status(404).json({
+        success: false,
+        message: 'Statement not found'
+      });
+    }
+
+    res.attachment(statementFilename(statement.accountNumber, statement.periodStart, format));
+    res.type(format === 'pdf' ? 'application/pdf' : 'text/csv').send(statement[format]);
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error downloading statement'
+    });
+  }
+});
+
+// Notification channels per event, and the low balance alert level
+router.get('/notifications/preferences', auth, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: notifications.getPreferences(req.user)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching notification preferences'
+    });
+  }
+});
+
+// Update notification preferences. Body:
+// { events: { fundsReceived: { email: true, sms: false }, ... },
+//   lowBalanceThreshold: 50.00 | null }
+router.put('/notifications/preferences', auth, [
+  body('events').optional().isObject().custom(events => {
+    for (const [event, channels] of Object.entries(events)) {
+      if (!notifications.EVENTS.includes(event)) {
+        throw new Error(`Unknown notification event: ${event}`);
+      }
+      if (!channels || typeof channels !== 'object') {
+        throw new Error(`Channels for ${event} must be an object`);
+      }
+      for (const [channel, enabled] of Object.entries(channels)) {
+        if (!notifications.CHANNELS.includes(channel) || typeof enabled !== 'boolean') {
+          throw new Error(`Invalid channel setting ${event}.${channel}`);
+        }
+      }
+    }
+    return true;
+  }),
+  body('lowBalanceThreshold').optional({ values: 'null' }).isFloat({ min: 0 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const before = notifications.getPreferences(req.user);
+    const { events = {}, lowBalanceThreshold } = req.body;
+
+    for (const [event, channels] of Object.entries(events)) {
+      for (const [channel, enabled] of Object.entries(channels)) {
+        req.user.set(`notificationPreferences.${event}.${channel}`, enabled);
+      }
+    }
+
+    if (lowBalanceThreshold !== undefined) {
+      req.user.set(
+        'notificationPreferences.lowBalanceThreshold',
+        lowBalanceThreshold === null ? null : toMinor(lowBalanceThreshold, LIMIT_CURRENCY)
+      );
+    }
+
+    await req.user.save();
+
+    const preferences = notifications.getPreferences(req.user);
+
+    await audit.record({
+      actor: req.user._id,
+      action: 'account.notification_preferences',
+      target: { type: 'user', id: req.user._id },
+      before,
+      after: preferences,
+      req
+    });
+
+    res.json({
+      success: true,
+      message: req.user.phoneVerified
+        ? 'Notification preferences updated'
+        : 'Notification preferences updated. SMS notifications start once your phone number is verified.',
+      data: preferences
+    });
+
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating notification preferences'
+    });
+  }
+});
+
+// Notifications sent to the user, newest first
+router.get('/notifications', auth, async (req, res) => {
+  try {
+    const sent = await paginate(Notification, { user: req.user._id }, req.query, {
+      sortFields: ['createdAt'],
+      defaultSort: { createdAt: -1 },
+      select: '-html -lockedUntil'
+    });
+
+    res.json({
+      success: true,
+      data: sent
+    });
+
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching notifications'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,282 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const { auth } = require('../middleware/auth');
+const Account = require('../models/account');
+const StandingOrder = require('../models/standingOrder');
+const { getRemainingLimits } = require('../services/limits');
+const audit = require('../services/audit');
+const { SUPPORTED_CURRENCIES } = require('../utils/money');
+
+// List the customer's accounts
+router.get('/', auth, async (req, res) => {
+  try {
+    const query = { customer: req.user._id };
+    if (req.query.includeClosed !== 'true') {
+      query.status = { $ne: 'closed' };
+    }
+
+    const accounts = await Account.find(query).sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: accounts
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching accounts'
+    });
+  }
+});
+
+// Open a new account
+router.post('/', auth, [
+  body('accountType').isIn(['checking', 'savings', 'business']),
+  body('currency').optional().isIn(SUPPORTED_CURRENCIES),
+  body('nickname').optional().trim().isLength({ max: 50 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { accountType, nickname, currency = 'USD' } = req.body;
+
+    const account = new Account({
+      customer: req.user._id,
+      accountNumber: await Account.generateAccountNumber(),
+      accountType,
+      currency,
+      nickname
+    });
+
+    await account.save();
+
+    await audit.record({
+      actor: req.user._id,
+      action: 'account.open',
+      target: { type: 'account', id: account._id },
+      after: {
+        accountNumber: account.accountNumber,
+        accountType: account.accountType,
+        currency: account.currency,
+        nickname: account.nickname
+      },
+      req
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Account opened successfully',
+      data: account
+    });
+
+  } catch (error) {
+    console.error('Open account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error opening account'
+    });
+  }
+});
+
+// Get a single account
+router.get('/:accountNumber', auth, async (req, res) => {
+  try {
+    const account = await Account.findOwned(req.user._id, req.params.accountNumber);
+
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        message: 'Account not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: account
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching account'
+    });
+  }
+});
+
+// Remaining transfer limits and the fee schedule for an account
+router.get('/:accountNumber/limits', auth, async (req, res) => {
+  try {
+    const account = await Account.findOwned(req.user._id, req.params.accountNumber);
+
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        message: 'Account not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await getRemainingLimits(account)
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching limits'
+    });
+  }
+});
+
+// Rename an account
+router.put('/:accountNumber', auth, [
+  body('nickname').trim().notEmpty().isLength({ max: 50 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const account = await Account.findOneAndUpdate(
+      {
+        customer: req.user._id,
+        accountNumber: req.params.accountNumber,
+        status: { $ne: 'closed' }
+      },
+      { nickname: req.body.nickname }
+    );
+
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        message: 'Account not found'
+      });
+    }
+
+    const before = { nickname: account.nickname };
+    account.nickname = req.body.nickname;
+
+    await audit.record({
+      actor: req.user._id,
+      action: 'account.rename',
+      target: { type: 'account', id: account._id },
+      before,
+      after: { nickname: account.nickname },
+      metadata: { accountNumber: account.accountNumber },
+      req
+    });
+
+    res.json({
+      success: true,
+      message: 'Account renamed successfully',
+      data: account
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error renaming account'
+    });
+  }
+});
+
+// Close an account. It must be empty, have no live standing orders and
+// cannot be the customer's last open account.
+router.post('/:accountNumber/close', auth, async (req, res) => {
+  try {
+    const account = await Account.findOne({
+      customer: req.user._id,
+      accountNumber: req.params.accountNumber,
+      status: { $ne: 'closed' }
+    });
+
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        message: 'Account not found'
+      });
+    }
+
+    if (account.balance !== 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Account balance must be zero before closing'
+      });
+    }
+
+    const openAccounts = await Account.countDocuments({
+      customer: req.user._id,
+      status: { $ne: 'closed' }
+    });
+
+    if (openAccounts <= 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot close your only open account'
+      });
+    }
+
+    const liveOrders = await StandingOrder.countDocuments({
+      userId: req.user._id,
+      fromAccount: account.accountNumber,
+      status: { $in: ['active', 'paused'] }
+    });
+
+    if (liveOrders > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cancel standing orders from this account before closing it'
+      });
+    }
+
+    // Balance is re-checked so a concurrent credit cannot be stranded
+    const closed = await Account.findOneAndUpdate(
+      { _id: account._id, balance: 0 },
+      { status: 'closed', closedAt: new Date() },
+      { new: true }
+    );
+
+    if (!closed) {
+      return res.status(409).json({
+        success: false,
+        message: 'Account balance changed, please try again'
+      });
+    }
+
+    await audit.record({
+      actor: req.user._id,
+      action: 'account.close',
+      target: { type: 'account', id: closed._id },
+      before: { status: account.status },
+      after: { status: closed.status, closedAt: closed.closedAt },
+      metadata: { accountNumber: closed.accountNumber },
+      req
+    });
+
+    res.json({
+      success: true,
+      message: 'Account closed successfully',
+      data: closed
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error closing account'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,31 +1,49 @@
 const express = require('express');
 const router = express.Router();
-const { auth, admin } = require('../middleware/auth');
+const { body, param, validationResult } = require('express-validator');
+const { auth, requirePermission } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
 const userModel = require('../models/user');
+const accountModel = require('../models/account');
 const transactionModel = require('../models/transaction');
+const auditEventModel = require('../models/auditEvent');
+const limitPolicyModel = require('../models/limitPolicy');
+const approval = require('../services/approval');
+const audit = require('../services/audit');
+const notifications = require('../services/notifications');
+const webhooks = require('../services/webhooks');
+const riskEngine = require('../services/risk');
+const limits = require('../services/limits');
+const HttpError = require('../utils/httpError');
+const { paginate } = require('../utils/pagination');
+const { toMinor } = require('../utils/money');
+const { reconcileBalances } = require('../services/reconciliation');
+const { unlockAccount } = require('../services/loginSecurity');
+const { ROLE_PERMISSIONS, ROLES, permissionsFor } = require('../utils/roles');
 
-// Get all users (admin only)
-router.get('/users', auth, admin, async (req, res) => {
+// Ids in the path must be ObjectIds, or the lookup fails with a cast error
+const userIdValidator = param('id').isMongoId().withMessage('Invalid user id');
+
+// Get all users
+router.get('/users', auth, requirePermission('users:read'), async (req, res) => {
   try {
-    const { page = 1, limit = 50, status, search } = req.query;
+    const { status, search } = req.query;
     
     const query = {};
     if (status) query.status = status;
     if (search) {
+      const matchingAccounts = await accountModel.find({ accountNumber: search }, 'customer');
+
       query.$or = [
         { name: { $regex: search, $options: 'i' } },
         { email: { $regex: search, $options: 'i' } },
-        { accountNumber: search }
+        { _id: { $in: matchingAccounts.map(a => a.customer) } }
       ];
     }
 
-    const options = {
-      page: parseInt(page),
-      limit: parseInt(limit),
-      sort: { createdAt: -1 }
-    };
-
-    const users = await userModel.paginate(query, options);
+    const users = await paginate(userModel, query, req.query, {
+      sortFields: ['createdAt', 'name', 'email', 'lastLogin']
+    });
 
     res.json({
       success: true,
@@ -33,6 +51,13 @@ router.get('/users', auth, admin, async (req, res) => {
     });
 
   } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Server error fetching users'
@@ -40,14 +65,510 @@ router.get('/users', auth, admin, async (req, res) => {
   }
 });
 
-// Get all transactions (admin only)
-router.get('/transactions', auth, admin, async (req, res) => {
+// Unlock a customer locked out by failed sign-ins
+router.post('/users/:id/unlock', auth, requirePermission('users:unlock'), userIdValidator, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const user = await userModel.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await unlockAccount(user._id);
+
+    await audit.record({
+      actor: req.user._id,
+      action: 'admin.user_unlock',
+      target: { type: 'user', id: user._id },
+      req
+    });
+
+    res.json({
+      success: true,
+      message: 'Account unlocked'
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error unlocking account'
+    });
+  }
+});
+
+// Get a customer with their accounts
+router.get('/users/:id', auth, requirePermission('users:read'), async (req, res) => {
+  try {
+    const user = await userModel.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const accounts = await accountModel.find({ customer: user._id }).sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        user,
+        accounts
+      }
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching user'
+    });
+  }
+});
+
+// Freeze or unfreeze an account
+router.put('/accounts/:accountNumber/status', auth, requirePermission('accounts:freeze'), [
+  body('status').isIn(['active', 'suspended']),
+  body('reason').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    // Returns the account as it was before the update
+    const previous = await accountModel.findOneAndUpdate(
+      { accountNumber: req.params.accountNumber, status: { $ne: 'closed' } },
+      { status: req.body.status }
+    );
+
+    if (!previous) {
+      return res.status(404).json({
+        success: false,
+        message: 'Account not found'
+      });
+    }
+
+    const account = { ...previous.toJSON(), status: req.body.status };
+
+    await audit.record({
+      actor: req.user._id,
+      action: 'admin.account_status',
+      target: { type: 'account', id: previous._id },
+      before: { status: previous.status },
+      after: { status: account.status },
+      metadata: { accountNumber: previous.accountNumber, reason: req.body.reason },
+      req
+    });
+
+    if (previous.status !== account.status) {
+      notifications.notify(previous.customer, 'accountStatusChanged', {
+        account,
+        status: account.status,
+        reason: req.body.reason
+      });
+      webhooks.emit('account.status_changed', {
+        accountNumber: previous.accountNumber,
+        accountType: previous.accountType,
+        currency: previous.currency,
+        previousStatus: previous.status,
+        status: account.status,
+        reason: req.body.reason
+      }, previous.customer);
+    }
+
+    res.json({
+      success: true,
+      message: `Account ${req.body.status === 'suspended' ? 'frozen' : 'unfrozen'}`,
+      data: account
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating account status'
+    });
+  }
+});
+
+// Limit policy fields in the request body are decimal amounts of the limit
+// currency; null removes the cap and an omitted field inherits
+const limitPolicyValidators = [
+  param('accountType').isIn(Object.keys(limits.DEFAULT_POLICIES)),
+  body(['perTransactionLimit', 'dailyLimit', 'weeklyLimit', 'monthlyLimit'])
+    .optional({ values: 'null' }).isFloat({ min: 0 }),
+  body('monthlyWithdrawalLimit').optional({ values: 'null' }).isInt({ min: 0 }),
+  body('fee').optional().isObject(),
+  body('fee.type').optional().isIn(['none', 'flat', 'percentage']),
+  body(['fee.flatAmount', 'fee.minimum', 'fee.maximum'])
+    .optional({ values: 'null' }).isFloat({ min: 0 }),
+  body('fee.percentageBps').optional({ values: 'null' }).isInt({ min: 0, max: 10000 })
+];
+
+const toLimitAmount = (value) => {
+  if (value === undefined || value === null) return value;
+  return toMinor(value, limits.LIMIT_CURRENCY);
+};
+
+const toCount = (value) => {
+  if (value === undefined || value === null) return value;
+  return parseInt(value);
+};
+
+const pickPolicy = (policy) => ({
+  ...Object.fromEntries(limits.POLICY_FIELDS.map(field => [field, policy[field]])),
+  fee: policy.fee
+});
+
+// Replace the configured fields of a policy with those in the body
+const applyPolicyBody = (policy, body) => {
+  for (const field of ['perTransactionLimit', 'dailyLimit', 'weeklyLimit', 'monthlyLimit']) {
+    policy[field] = toLimitAmount(body[field]);
+  }
+  policy.monthlyWithdrawalLimit = toCount(body.monthlyWithdrawalLimit);
+
+  const fee = body.fee || {};
+  policy.fee = {
+    type: fee.type,
+    flatAmount: toLimitAmount(fee.flatAmount),
+    percentageBps: toCount(fee.percentageBps),
+    minimum: toLimitAmount(fee.minimum),
+    maximum: toLimitAmount(fee.maximum)
+  };
+};
+
+// Limit and fee policies per account type
+router.get('/limits', auth, requirePermission('accounts:read'), async (req, res) => {
+  try {
+    const policies = await limitPolicyModel.find({ customer: null });
+    const effective = {};
+
+    for (const accountType of Object.keys(limits.DEFAULT_POLICIES)) {
+      effective[accountType] = await limits.getEffectivePolicy(accountType, null);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        currency: limits.LIMIT_CURRENCY,
+        defaults: limits.DEFAULT_POLICIES,
+        policies,
+        effective
+      }
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching limits'
+    });
+  }
+});
+
+// Set the limit and fee policy for an account type
+router.put('/limits/:accountType', auth, requirePermission('limits:manage'), limitPolicyValidators, async (req, res) => {
   try {
-    const { page = 1, limit = 50, status, type, startDate, endDate } = req.query;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { accountType } = req.params;
+    const policy = await limitPolicyModel.findOne({ accountType, customer: null })
+      || new limitPolicyModel({ accountType, customer: null });
+    const before = policy.toObject();
+
+    applyPolicyBody(policy, req.body);
+    policy.updatedBy = req.user._id;
+    await policy.save();
+
+    await audit.record({
+      actor: req.user._id,
+      action: 'admin.limit_policy',
+      target: { type: 'limit_policy', id: policy._id },
+      before: pickPolicy(before),
+      after: pickPolicy(policy.toObject()),
+      metadata: { accountType },
+      req
+    });
+
+    res.json({
+      success: true,
+      message: `Limits updated for ${accountType} accounts`,
+      data: {
+        policy,
+        effective: await limits.getEffectivePolicy(accountType, null)
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Update limits error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating limits'
+    });
+  }
+});
+
+// A customer's limit overrides and the limits in effect for them
+router.get('/users/:id/limits', auth, requirePermission('accounts:read'), userIdValidator, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const user = await userModel.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const overrides = await limitPolicyModel.find({ customer: user._id });
+    const effective = {};
+
+    for (const accountType of Object.keys(limits.DEFAULT_POLICIES)) {
+      effective[accountType] = await limits.getEffectivePolicy(accountType, user._id);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        currency: limits.LIMIT_CURRENCY,
+        overrides,
+        effective
+      }
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching customer limits'
+    });
+  }
+});
+
+// Override limits and fees for one customer's accounts of a type
+router.put('/users/:id/limits/:accountType', auth, requirePermission('limits:manage'), userIdValidator, limitPolicyValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const user = await userModel.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const { accountType } = req.params;
+    const policy = await limitPolicyModel.findOne({ accountType, customer: user._id })
+      || new limitPolicyModel({ accountType, customer: user._id });
+    const before = policy.toObject();
+
+    applyPolicyBody(policy, req.body);
+    policy.updatedBy = req.user._id;
+    await policy.save();
+
+    await audit.record({
+      actor: req.user._id,
+      action: 'admin.limit_override',
+      target: { type: 'user', id: user._id },
+      before: pickPolicy(before),
+      after: pickPolicy(policy.toObject()),
+      metadata: { accountType },
+      req
+    });
+
+    res.json({
+      success: true,
+      message: `Limit override saved for ${accountType} accounts`,
+      data: {
+        policy,
+        effective: await limits.getEffectivePolicy(accountType, user._id)
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Update limit override error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating limit override'
+    });
+  }
+});
+
+// Remove a customer's override so the account type policy applies again
+router.delete('/users/:id/limits/:accountType', auth, requirePermission('limits:manage'), userIdValidator, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const policy = await limitPolicyModel.findOneAndDelete({
+      accountType: req.params.accountType,
+      customer: req.params.id
+    });
+
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        message: 'Limit override not found'
+      });
+    }
+
+    await audit.record({
+      actor: req.user._id,
+      action: 'admin.limit_override_removed',
+      target: { type: 'user', id: req.params.id },
+      before: pickPolicy(policy.toObject()),
+      after: {},
+      metadata: { accountType: req.params.accountType },
+      req
+    });
+
+    res.json({
+      success: true,
+      message: 'Limit override removed'
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error removing limit override'
+    });
+  }
+});
+
+// List roles and the permissions they grant
+router.get('/roles', auth, requirePermission('users:read'), (req, res) => {
+  res.json({
+    success: true,
+    data: ROLE_PERMISSIONS
+  });
+});
+
+// Assign staff roles to a user
+router.put('/users/:id/roles', auth, requirePermission('roles:assign'), [
+  body('roles').isArray(),
+  body('roles.*').isIn(ROLES)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    // Stops an admin locking themselves out
+    if (req.user._id.equals(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own roles'
+      });
+    }
+
+    const user = await userModel.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const previousRoles = [...user.roles];
+    user.roles = [...new Set(req.body.roles)];
+    await user.save();
+
+    await audit.record({
+      actor: req.user._id,
+      action: 'admin.user_roles',
+      target: { type: 'user', id: user._id },
+      before: { roles: previousRoles },
+      after: { roles: user.roles },
+      req
+    });
+
+    res.json({
+      success: true,
+      message: 'Roles updated',
+      data: {
+        userId: user._id,
+        roles: user.roles,
+        permissions: permissionsFor(user.roles)
+      }
+    });
+
+  } catch (error) {
+    console.error('Assign roles error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error assigning roles'
+    });
+  }
+});
+
+// Get all transactions
+router.get('/transactions', auth, requirePermission('transactions:read'), async (req, res) => {
+  try {
+    const { status, type, riskDecision, startDate, endDate } = req.query;
     
     const query = {};
     if (status) query.status = status;
     if (type) query.type = type;
+    if (riskDecision) query['risk.decision'] = riskDecision;
     
     if (startDate || endDate) {
       query.createdAt = {};
@@ -55,14 +576,10 @@ router.get('/transactions', auth, admin, async (req, res) => {
       if (endDate) query.createdAt.$lte = new Date(endDate);
     }
 
-    const options = {
-      page: parseInt(page),
-      limit: parseInt(limit),
-      sort: { createdAt: -1 },
-      populate: 'userId'
-    };
-
-    const transactions = await transactionModel.paginate(query, options);
+    const transactions = await paginate(transactionModel, query, req.query, {
+      sortFields: ['createdAt', 'amount', 'completedAt', 'status', 'type'],
+      populate: { path: 'userId', select: 'name email' }
+    });
 
     res.json({
       success: true,
@@ -70,6 +587,13 @@ router.get('/transactions', auth, admin, async (req, res) => {
     });
 
   } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Server error fetching transactions'
@@ -77,107 +601,300 @@ router.get('/transactions', auth, admin, async (req, res) => {
   }
 });
 
-// Update transaction status (admin only)
-router.put('/transactions/:id/status', auth, admin, async (req, res) => {
+// Effective risk scoring rules and thresholds
+router.get('/risk/rules', auth, requirePermission('transactions:read'), async (req, res) => {
   try {
-    const { status } = req.body;
-    
-    if (!['completed', 'failed', 'cancelled'].includes(status)) {
+    res.json({
+      success: true,
+      data: await riskEngine.getConfig()
+    });
+
+  } catch (error) {
+    console.error('Get risk rules error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching risk rules'
+    });
+  }
+});
+
+// Pending transactions waiting for a decision. Filter by amount band
+// (minor units), age in hours and stage of the approval.
+router.get('/approvals', auth, requirePermission('transactions:read'), async (req, res) => {
+  try {
+    const { minAmount, maxAmount, minAgeHours, maxAgeHours, stage, currency } = req.query;
+
+    const query = { status: 'pending' };
+    if (currency) query.currency = currency;
+
+    if (stage === 'awaiting_proposal') query['approval.proposedStatus'] = null;
+    if (stage === 'awaiting_confirmation') query['approval.proposedStatus'] = { $ne: null };
+
+    if (minAmount || maxAmount) {
+      query.amount = {};
+      if (minAmount) query.amount.$gte = parseInt(minAmount);
+      if (maxAmount) query.amount.$lte = parseInt(maxAmount);
+    }
+
+    if (minAgeHours || maxAgeHours) {
+      const hoursAgo = (hours) => new Date(Date.now() - parseFloat(hours) * 60 * 60 * 1000);
+      query.createdAt = {};
+      if (minAgeHours) query.createdAt.$lte = hoursAgo(minAgeHours);
+      if (maxAgeHours) query.createdAt.$gte = hoursAgo(maxAgeHours);
+    }
+
+    const queue = await paginate(transactionModel, query, req.query, {
+      sortFields: ['createdAt', 'amount'],
+      defaultSort: { createdAt: 1 },
+      populate: [
+        { path: 'userId', select: 'name email' },
+        { path: 'approval.proposedBy', select: 'name email' }
+      ]
+    });
+
+    res.json({
+      success: true,
+      data: queue
+    });
+
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching approval queue'
+    });
+  }
+});
+
+// Decide a pending transaction (maker-checker). The first operator
+// proposes a status; a different operator confirms it, which is when
+// the status changes and any balances move.
+router.put('/transactions/:id/status', auth, requirePermission('transactions:approve'), idempotency, [
+  body('status').isIn(['completed', 'failed', 'cancelled']),
+  body('reason').trim().notEmpty().withMessage('A reason is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid status'
+        errors: errors.array()
       });
     }
 
-    const transaction = await transactionModel.findById(req.params.id).populate('userId');
-    
-    if (!transaction) {
-      return res.status(404).json({
+    const { stage, transaction } = await approval.decide({
+      transactionId: req.params.id,
+      actor: req.user._id,
+      status: req.body.status,
+      reason: req.body.reason
+    });
+
+    await audit.record({
+      actor: req.user._id,
+      action: stage === 'proposed' ? 'admin.transaction_status_proposed' : 'admin.transaction_status',
+      target: { type: 'transaction', id: transaction._id },
+      ...(stage === 'confirmed' && {
+        before: { status: 'pending' },
+        after: { status: transaction.status }
+      }),
+      metadata: {
+        transactionId: transaction.transactionId,
+        proposedStatus: req.body.status,
+        reason: req.body.reason
+      },
+      req
+    });
+
+    if (stage === 'proposed') {
+      return res.status(202).json({
+        success: true,
+        message: `Proposed status ${req.body.status}. Awaiting confirmation by another operator.`,
+        data: transaction
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Transaction status updated from pending to ${transaction.status}`,
+      data: transaction
+    });
+
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({
         success: false,
-        message: 'Transaction not found'
+        message: error.message
       });
     }
 
-    // Only allow status change for pending transactions
-    if (transaction.status !== 'pending') {
+    console.error('Update transaction status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating transaction status'
+    });
+  }
+});
+
+// Reject the proposed decision; the transaction stays pending and can be
+// proposed again
+router.post('/transactions/:id/decline', auth, requirePermission('transactions:approve'), [
+  body('reason').trim().notEmpty().withMessage('A reason is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
       return res.status(400).json({
         success: false,
-        message: 'Only pending transactions can be updated'
+        errors: errors.array()
       });
     }
 
-    const oldStatus = transaction.status;
-    transaction.status = status;
-    
-    if (status === 'completed') {
-      transaction.completedAt = new Date();
-      
-      // Update balances
-      const sender = await userModel.findById(transaction.userId);
-      const receiver = await userModel.findOne({ accountNumber: transaction.receiver.accountNumber });
-      
-      if (sender && transaction.type === 'debit') {
-        sender.balance -= transaction.amount;
-        await sender.save();
-      }
-      
-      if (receiver && transaction.type === 'credit') {
-        receiver.balance += transaction.netAmount;
-        await receiver.save();
-      }
-      
-      // Create corresponding transaction for receiver
-      if (receiver) {
-        const receiverTransaction = new transactionModel({
-          userId: receiver._id,
-          transactionId: transactionModel.generateTransactionId(),
-          type: 'credit',
-          amount: transaction.netAmount,
-          netAmount: transaction.netAmount,
-          description: `Transfer from ${sender.name}`,
-          status: 'completed',
-          category: 'transfer',
-          sender: {
-            userId: sender._id,
-            name: sender.name,
-            accountNumber: sender.accountNumber
-          },
-          receiver: {
-            userId: receiver._id,
-            name: receiver.name,
-            accountNumber: receiver.accountNumber
-          },
-          completedAt: new Date()
-        });
-        
-        await receiverTransaction.save();
-      }
-    }
+    const transaction = await approval.decline({
+      transactionId: req.params.id,
+      actor: req.user._id,
+      reason: req.body.reason
+    });
 
-    await transactionModel.save();
+    await audit.record({
+      actor: req.user._id,
+      action: 'admin.transaction_proposal_declined',
+      target: { type: 'transaction', id: transaction._id },
+      metadata: { transactionId: transaction.transactionId, reason: req.body.reason },
+      req
+    });
 
     res.json({
       success: true,
-      message: `Transaction status updated from ${oldStatus} to ${status}`,
+      message: 'Proposal declined',
       data: transaction
     });
 
   } catch (error) {
-    console.error('Update transaction status error:', error);
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Decline proposal error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error updating transaction status'
+      message: 'Server error declining proposal'
+    });
+  }
+});
+
+// Search the audit log
+router.get('/audit', auth, requirePermission('audit:read'), async (req, res) => {
+  try {
+    const { actor, action, targetType, targetId, outcome, ipAddress, startDate, endDate } = req.query;
+
+    const query = {};
+    if (actor) query.actor = actor;
+    if (targetType) query['target.type'] = targetType;
+    if (targetId) query['target.id'] = targetId;
+    if (outcome) query.outcome = outcome;
+    if (ipAddress) query.ipAddress = ipAddress;
+
+    // 'auth.' matches every action under that prefix
+    if (action) {
+      query.action = action.endsWith('.')
+        ? { $regex: `^${action.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}` }
+        : action;
+    }
+
+    if (startDate || endDate) {
+      query.createdAt = {};
+      if (startDate) query.createdAt.$gte = new Date(startDate);
+      if (endDate) query.createdAt.$lte = new Date(endDate);
+    }
+
+    const events = await paginate(auditEventModel, query, req.query, {
+      sortFields: ['createdAt'],
+      populate: { path: 'actor', select: 'name email' }
+    });
+
+    res.json({
+      success: true,
+      data: events
+    });
+
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid actor id'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error searching audit log'
+    });
+  }
+});
+
+// Walk the audit hash chain and report any tampering
+router.get('/audit/verify', auth, requirePermission('audit:read'), async (req, res) => {
+  try {
+    const report = await audit.verifyChain();
+
+    res.json({
+      success: true,
+      data: report
+    });
+
+  } catch (error) {
+    console.error('Audit verify error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error verifying audit log'
     });
   }
 });
 
-// Get system statistics (admin only)
-router.get('/stats', auth, admin, async (req, res) => {
+// Reconcile account balances against the ledger
+router.get('/reconciliation', auth, requirePermission('ledger:reconcile'), async (req, res) => {
+  try {
+    const report = await reconcileBalances();
+
+    res.json({
+      success: true,
+      data: report
+    });
+
+  } catch (error) {
+    console.error('Reconciliation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error running reconciliation'
+    });
+  }
+});
+
+// Get system statistics
+router.get('/stats', auth, requirePermission('stats:read'), async (req, res) => {
   try {
     const totalUsers = await userModel.countDocuments();
     const activeUsers = await userModel.countDocuments({ status: 'active' });
-    const totalBalance = await userModel.aggregate([
-      { $group: { _id: null, total: { $sum: '$balance' } } }
+    const totalBalance = await accountModel.aggregate([
+      { $match: { status: { $ne: 'closed' } } },
+      { $group: { _id: '$currency', total: { $sum: '$balance' } } },
+      { $project: { _id: 0, currency: '$_id', total: 1 } }
     ]);
     
     const today = new Date();
@@ -196,10 +913,11 @@ router.get('/stats', auth, admin, async (req, res) => {
       },
       {
         $group: {
-          _id: null,
+          _id: '$currency',
           total: { $sum: '$amount' }
         }
-      }
+      },
+      { $project: { _id: 0, currency: '$_id', total: 1 } }
     ]);
 
     res.json({
@@ -208,9 +926,10 @@ router.get('/stats', auth, admin, async (req, res) => {
         totalUsers,
         activeUsers,
         suspendedUsers: totalUsers - activeUsers,
-        totalBalance: totalBalance[0]?.total || 0,
+        // Per currency, in minor units
+        totalBalance,
         todaysTransactions,
-        todaysVolume: todaysVolume[0]?.total || 0,
+        todaysVolume,
         systemUptime: process.uptime()
       }
     });
@@ -0,0 +1,355 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const { auth } = require('../middleware/auth');
+const Account = require('../models/account');
+const Transaction = require('../models/transaction');
+const CategoryRule = require('../models/categoryRule');
+const analytics = require('../services/analytics');
+const categorization = require('../services/categorization');
+const audit = require('../services/audit');
+const HttpError = require('../utils/httpError');
+const { parsePeriod } = require('../utils/period');
+
+// Reports take ?account&startDate&endDate (default: the last 30 days)
+const resolveScope = async (req) => {
+  const scope = { customerId: req.user._id, ...parsePeriod(req.query) };
+
+  if (req.query.account) {
+    const owned = await Account.findOwned(req.user._id, req.query.account);
+
+    if (!owned) {
+      throw new HttpError(404, 'Account not found');
+    }
+
+    scope.accountId = owned._id;
+  }
+
+  // Pick up transactions recorded since the rules last ran
+  await categorization.applyRules(req.user._id);
+
+  return scope;
+};
+
+const parseGranularity = (req) => {
+  const granularity = req.query.granularity || 'month';
+
+  if (!analytics.GRANULARITIES.includes(granularity)) {
+    throw new HttpError(400, 'granularity must be day, week or month');
+  }
+
+  return granularity;
+};
+
+// Spending by category
+router.get('/spending', auth, async (req, res) => {
+  try {
+    const scope = await resolveScope(req);
+
+    res.json({
+      success: true,
+      data: {
+        period: { start: scope.start, end: scope.end },
+        categories: await analytics.spendingByCategory(scope)
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Spending analytics error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error computing spending'
+    });
+  }
+});
+
+// Income versus expenses per day, week or month (?granularity)
+router.get('/cashflow', auth, async (req, res) => {
+  try {
+    const granularity = parseGranularity(req);
+    const scope = await resolveScope(req);
+
+    res.json({
+      success: true,
+      data: {
+        period: { start: scope.start, end: scope.end },
+        granularity,
+        periods: await analytics.cashflow(scope, granularity)
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Cashflow analytics error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error computing cashflow'
+    });
+  }
+});
+
+// Spending per category over time with the change between periods
+// (?granularity, default month: month over month)
+router.get('/trends', auth, async (req, res) => {
+  try {
+    const granularity = parseGranularity(req);
+    const scope = await resolveScope(req);
+
+    res.json({
+      success: true,
+      data: {
+        period: { start: scope.start, end: scope.end },
+        granularity,
+        categories: await analytics.trends(scope, granularity)
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Trend analytics error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error computing trends'
+    });
+  }
+});
+
+// Top counterparties (?direction=out|in&limit)
+router.get('/counterparties', auth, async (req, res) => {
+  try {
+    const direction = req.query.direction || 'out';
+
+    if (!['in', 'out'].includes(direction)) {
+      return res.status(400).json({
+        success: false,
+        message: 'direction must be in or out'
+      });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+    const scope = await resolveScope(req);
+
+    res.json({
+      success: true,
+      data: {
+        period: { start: scope.start, end: scope.end },
+        direction,
+        counterparties: await analytics.topCounterparties(scope, { direction, limit })
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Counterparty analytics error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error computing counterparties'
+    });
+  }
+});
+
+// Categories in use plus the suggested ones
+router.get('/categories', auth, async (req, res) => {
+  try {
+    const used = await Transaction.distinct('spendingCategory', {
+      userId: req.user._id,
+      spendingCategory: { $ne: null }
+    });
+
+    res.json({
+      success: true,
+      data: [...new Set([...categorization.SUGGESTED_CATEGORIES, ...used])].sort()
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching categories'
+    });
+  }
+});
+
+const ruleValidators = [
+  body('category').trim().notEmpty().isLength({ max: 50 }),
+  body('field').isIn(['description', 'counterparty']),
+  body('matchType').optional().isIn(['contains', 'equals']),
+  body('pattern').trim().notEmpty().isLength({ max: 100 }),
+  body('priority').optional().isInt({ min: 0, max: 10000 }).toInt()
+];
+
+const pickRule = (reqBody) => ({
+  category: reqBody.category,
+  field: reqBody.field,
+  matchType: reqBody.matchType || 'contains',
+  pattern: reqBody.pattern,
+  ...(reqBody.priority !== undefined && { priority: reqBody.priority })
+});
+
+// Auto-categorization rules in the order they are tried
+router.get('/rules', auth, async (req, res) => {
+  try {
+    const rules = await CategoryRule.find({ customer: req.user._id }).sort({ priority: 1, createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: rules
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching rules'
+    });
+  }
+});
+
+// Add a rule; existing transactions are re-categorized
+router.post('/rules', auth, ruleValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const rule = await CategoryRule.create({
+      customer: req.user._id,
+      ...pickRule(req.body)
+    });
+
+    await categorization.reapplyRules(req.user._id);
+
+    await audit.record({
+      actor: req.user._id,
+      action: 'category_rule.create',
+      target: { type: 'category_rule', id: rule._id },
+      after: pickRule(rule),
+      req
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Rule added',
+      data: rule
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error adding rule'
+    });
+  }
+});
+
+// Replace a rule
+router.put('/rules/:id', auth, ruleValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const rule = await CategoryRule.findOne({ _id: req.params.id, customer: req.user._id });
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rule not found'
+      });
+    }
+
+    const before = pickRule(rule);
+    rule.set(pickRule(req.body));
+    await rule.save();
+
+    await categorization.reapplyRules(req.user._id);
+
+    await audit.record({
+      actor: req.user._id,
+      action: 'category_rule.update',
+      target: { type: 'category_rule', id: rule._id },
+      before,
+      after: pickRule(rule),
+      req
+    });
+
+    res.json({
+      success: true,
+      message: 'Rule updated',
+      data: rule
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating rule'
+    });
+  }
+});
+
+// Delete a rule; what it categorized goes back to the remaining rules
+router.delete('/rules/:id', auth, async (req, res) => {
+  try {
+    const rule = await CategoryRule.findOneAndDelete({ _id: req.params.id, customer: req.user._id });
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rule not found'
+      });
+    }
+
+    await categorization.reapplyRules(req.user._id);
+
+    await audit.record({
+      actor: req.user._id,
+      action: 'category_rule.delete',
+      target: { type: 'category_rule', id: rule._id },
+      before: pickRule(rule),
+      req
+    });
+
+    res.json({
+      success: true,
+      message: 'Rule deleted'
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error deleting rule'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,12 +1,33 @@
 const express = require('express');
 const router = express.Router();
-const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const { body, validationResult } = require('express-validator');
 const userModel = require('../models/user');
+const accountModel = require('../models/account');
 const { auth } = require('../middleware/auth');
+const ledger = require('../services/ledger');
+const twoFactor = require('../services/twoFactor');
+const verification = require('../services/verification');
+const {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  listActiveSessions,
+  isNewDevice
+} = require('../services/session');
+const { requestPasswordReset, resetPassword } = require('../services/passwordReset');
+const loginSecurity = require('../services/loginSecurity');
+const { authLimiter, codeSendLimiter } = require('../middleware/rateLimit');
+const audit = require('../services/audit');
+const notifications = require('../services/notifications');
+const HttpError = require('../utils/httpError');
+const { permissionsFor } = require('../utils/roles');
+
+const INITIAL_DEPOSIT = 100000; // $1,000 demo deposit, in cents
 
 // Register new user
-router.post('/register', [
+router.post('/register', authLimiter, [
   body('email').isEmail().normalizeEmail(),
   body('password').isLength({ min: 6 }),
   body('name').trim().notEmpty(),
@@ -38,60 +59,98 @@ router.post('/register', [
       });
     }
 
-    // Generate account number
-    const accountNumber = await userModel.generateAccountNumber();
+    // The customer, their first checking account and the demo deposit are
+    // written in one MongoDB transaction, so a failure leaves nothing behind
+    const transactionModel = require('../models/transaction');
+    const dbSession = await mongoose.startSession();
+    let account;
+    let fundedAccount;
 
-    // Create new user
-    user = new userModel({
-      accountNumber,
-      email,
-      password,
-      name,
-      phone,
-      dateOfBirth: new Date(dateOfBirth),
-      ssn,
-      address,
-      balance: 1000, // Initial deposit for demo
-      accountType: 'checking'
-    });
+    try {
+      await dbSession.withTransaction(async () => {
+        // Create new user
+        user = new userModel({
+          email,
+          password,
+          name,
+          phone,
+          dateOfBirth: new Date(dateOfBirth),
+          ssn,
+          address
+        });
 
-    await user.save();
+        await user.save({ session: dbSession });
 
-    // Create initial deposit transaction
-    const transactionModel = require('../models/transaction');
-    const initialTransaction = new transactionModel({
-      userId: user._id,
-      transactionId: transactionModel.generateTransactionId(),
-      type: 'credit',
-      amount: 1000,
-      description: 'Initial Account Opening Deposit',
-      status: 'completed',
-      category: 'deposit',
-      sender: {
-        name: 'Bank System',
-        accountNumber: 'SYSTEM001'
-      },
-      receiver: {
-        name: user.name,
-        accountNumber: user.accountNumber
-      },
-      netAmount: 1000
-    });
-
-    await initialTransaction.save();
-
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRE }
-    );
+        // Open the customer's first checking account
+        account = new accountModel({
+          customer: user._id,
+          accountNumber: await accountModel.generateAccountNumber(),
+          accountType: 'checking'
+        });
+
+        await account.save({ session: dbSession });
+
+        // Create initial deposit transaction
+        const initialTransaction = new transactionModel({
+          userId: user._id,
+          accountId: account._id,
+          transactionId: transactionModel.generateTransactionId(),
+          type: 'credit',
+          amount: INITIAL_DEPOSIT,
+          currency: account.currency,
+          description: 'Initial Account Opening Deposit',
+          status: 'completed',
+          category: 'deposit',
+          sender: {
+            name: 'Bank System',
+            accountNumber: 'SYSTEM001'
+          },
+          receiver: {
+            userId: user._id,
+            accountId: account._id,
+            name: user.name,
+            accountNumber: account.accountNumber
+          },
+          netAmount: INITIAL_DEPOSIT
+        });
+
+        await initialTransaction.save({ session: dbSession });
+
+        // Initial deposit for demo
+        fundedAccount = await ledger.post({
+          accountId: account._id,
+          amount: INITIAL_DEPOSIT,
+          transaction: initialTransaction._id,
+          description: 'Initial Account Opening Deposit',
+          session: dbSession
+        });
+      });
+    } finally {
+      await dbSession.endSession();
+    }
+
+    // Ask the customer to confirm their email address
+    verification.sendEmailVerification(user)
+      .catch(err => console.error('Verification email error:', err));
+
+    // Start a device session
+    const { session, accessToken: token, refreshToken } = await createSession(user, req);
+
+    await audit.record({
+      actor: user._id,
+      action: 'auth.register',
+      target: { type: 'user', id: user._id },
+      metadata: { sessionId: session._id, accountNumber: account.accountNumber },
+      req
+    });
 
     res.status(201).json({
       success: true,
       message: 'User registered successfully',
       token,
-      user: user.toJSON()
+      refreshToken,
+      user: user.toJSON(),
+      account: fundedAccount
     });
 
   } catch (error) {
@@ -104,7 +163,7 @@ router.post('/register', [
 });
 
 // Login user
-router.post('/login', [
+router.post('/login', authLimiter, [
   body('email').isEmail().normalizeEmail(),
   body('password').notEmpty()
 ], async (req, res) => {
@@ -123,41 +182,92 @@ router.post('/login', [
     const user = await userModel.findOne({ email }).select('+password');
     
     if (!user) {
+      await audit.record({
+        action: 'auth.login',
+        outcome: 'failure',
+        metadata: { email, reason: 'unknown_email' },
+        req
+      });
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
 
+    // Refuse while locked out or backing off
+    loginSecurity.assertLoginAllowed(user);
+
     // Check password
     const isMatch = await user.comparePassword(password);
     
     if (!isMatch) {
+      await loginSecurity.recordFailedLogin(user);
+      await audit.record({
+        actor: user._id,
+        action: 'auth.login',
+        target: { type: 'user', id: user._id },
+        outcome: 'failure',
+        metadata: { reason: 'invalid_password' },
+        req
+      });
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
 
+    // Hold back the real token until the second factor is verified
+    if (user.twoFactorEnabled) {
+      return res.json({
+        success: true,
+        message: 'Two-factor verification required',
+        requiresTwoFactor: true,
+        challengeToken: twoFactor.createChallengeToken(user),
+        methods: twoFactor.availableMethods(user)
+      });
+    }
+
     // Update last login
     user.lastLogin = new Date();
     await user.save();
+    await loginSecurity.clearFailedLogins(user._id);
 
-    // Generate token
-    const token = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRE }
-    );
+    // Start a device session
+    const { session, accessToken: token, refreshToken } = await createSession(user, req);
+
+    await audit.record({
+      actor: user._id,
+      action: 'auth.login',
+      target: { type: 'user', id: user._id },
+      metadata: { sessionId: session._id },
+      req
+    });
+
+    // Warn about sign-ins from a device we have not seen before
+    if (await isNewDevice(session)) {
+      notifications.notify(user, 'newDeviceLogin', { session });
+    }
 
     res.json({
       success: true,
       message: 'Login successful',
       token,
+      refreshToken,
       user: user.toJSON()
     });
 
   } catch (error) {
+    if (error instanceof HttpError) {
+      if (error.details && error.details.retryAfter) {
+        res.set('Retry-After', String(error.details.retryAfter));
+      }
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        ...error.details
+      });
+    }
+
     console.error('Login error:', error);
     res.status(500).json({
       success: false,
@@ -166,12 +276,566 @@ router.post('/login', [
   }
 });
 
+// Complete login with a second factor
+router.post('/2fa/verify', authLimiter, [
+  body('challengeToken').notEmpty(),
+  body('method').isIn(['totp', 'email', 'recovery']),
+  body('code').trim().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { challengeToken, method, code } = req.body;
+    const userId = twoFactor.verifyChallengeToken(challengeToken);
+    const user = await userModel.findById(userId);
+
+    if (!user || user.status !== 'active') {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid credentials'
+      });
+    }
+
+    loginSecurity.assertLoginAllowed(user);
+
+    const valid = await twoFactor.verifySecondFactor(user, { method, code });
+
+    if (!valid) {
+      await loginSecurity.recordFailedLogin(user);
+      await audit.record({
+        actor: user._id,
+        action: 'auth.login',
+        target: { type: 'user', id: user._id },
+        outcome: 'failure',
+        metadata: { reason: 'invalid_second_factor', method },
+        req
+      });
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    // Update last login
+    user.lastLogin = new Date();
+    await user.save();
+    await loginSecurity.clearFailedLogins(user._id);
+
+    const { session, accessToken: token, refreshToken } = await createSession(user, req);
+
+    await audit.record({
+      actor: user._id,
+      action: 'auth.login',
+      target: { type: 'user', id: user._id },
+      metadata: { sessionId: session._id, secondFactor: method },
+      req
+    });
+
+    // Warn about sign-ins from a device we have not seen before
+    if (await isNewDevice(session)) {
+      notifications.notify(user, 'newDeviceLogin', { session });
+    }
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      token,
+      refreshToken,
+      user: user.toJSON(),
+      ...(method === 'recovery' && {
+        recoveryCodesRemaining: user.twoFactor.recoveryCodes.length
+      })
+    });
+
+  } catch (error) {
+    if (error instanceof HttpError) {
+      if (error.details && error.details.retryAfter) {
+        res.set('Retry-After', String(error.details.retryAfter));
+      }
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        ...error.details
+      });
+    }
+
+    console.error('2FA verify error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during two-factor verification'
+    });
+  }
+});
+
+// Email a one-time login code (fallback when the authenticator app is unavailable)
+router.post('/2fa/email-code', authLimiter, [
+  body('challengeToken').notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const userId = twoFactor.verifyChallengeToken(req.body.challengeToken);
+    const user = await userModel.findById(userId);
+
+    if (user) {
+      await twoFactor.sendEmailCode(user, 'signing in');
+    }
+
+    res.json({
+      success: true,
+      message: 'Verification code sent'
+    });
+
+  } catch (error) {
+    if (error instanceof HttpError) {
+      if (error.details && error.details.retryAfter) {
+        res.set('Retry-After', String(error.details.retryAfter));
+      }
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        ...error.details
+      });
+    }
+
+    console.error('2FA email code error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error sending verification code'
+    });
+  }
+});
+
+// Email a one-time code for approving a high-value transfer
+router.post('/2fa/step-up/email-code', auth, codeSendLimiter, async (req, res) => {
+  try {
+    const user = await userModel.findById(req.user._id);
+    await twoFactor.sendEmailCode(user, 'approving a transfer');
+
+    res.json({
+      success: true,
+      message: 'Verification code sent'
+    });
+
+  } catch (error) {
+    if (error instanceof HttpError) {
+      if (error.details && error.details.retryAfter) {
+        res.set('Retry-After', String(error.details.retryAfter));
+      }
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        ...error.details
+      });
+    }
+
+    console.error('Step-up email code error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error sending verification code'
+    });
+  }
+});
+
+// Start authenticator app enrollment
+router.post('/2fa/setup', auth, async (req, res) => {
+  try {
+    const user = await userModel.findById(req.user._id);
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const { secret, otpauthUri } = await twoFactor.beginEnrollment(user);
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: {
+        secret,
+        otpauthUri
+      }
+    });
+
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error starting two-factor setup'
+    });
+  }
+});
+
+// Confirm enrollment and receive recovery codes
+router.post('/2fa/enable', auth, [
+  body('code').trim().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const user = await userModel.findById(req.user._id);
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const recoveryCodes = await twoFactor.confirmEnrollment(user, req.body.code);
+
+    await audit.record({
+      actor: user._id,
+      action: 'auth.2fa_enable',
+      target: { type: 'user', id: user._id },
+      before: { twoFactorEnabled: false },
+      after: { twoFactorEnabled: true },
+      req
+    });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+      data: { recoveryCodes }
+    });
+
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('2FA enable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error enabling two-factor authentication'
+    });
+  }
+});
+
+// Turn off 2FA (needs password and a current second factor)
+router.post('/2fa/disable', auth, [
+  body('password').notEmpty(),
+  body('method').isIn(['totp', 'email', 'recovery']),
+  body('code').trim().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { password, method, code } = req.body;
+    const user = await userModel.findById(req.user._id);
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    const isMatch = await user.comparePassword(password);
+    const valid = isMatch && await twoFactor.verifySecondFactor(user, { method, code });
+
+    if (!valid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password or two-factor code is incorrect'
+      });
+    }
+
+    await twoFactor.disable(user);
+
+    await audit.record({
+      actor: user._id,
+      action: 'auth.2fa_disable',
+      target: { type: 'user', id: user._id },
+      before: { twoFactorEnabled: true },
+      after: { twoFactorEnabled: false },
+      metadata: { method },
+      req
+    });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error disabling two-factor authentication'
+    });
+  }
+});
+
+// Replace recovery codes
+router.post('/2fa/recovery-codes', auth, [
+  body('method').isIn(['totp', 'email']),
+  body('code').trim().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { method, code } = req.body;
+    const user = await userModel.findById(req.user._id);
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!(await twoFactor.verifySecondFactor(user, { method, code }))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    const recoveryCodes = await twoFactor.regenerateRecoveryCodes(user);
+
+    await audit.record({
+      actor: user._id,
+      action: 'auth.2fa_recovery_codes',
+      target: { type: 'user', id: user._id },
+      changes: { recoveryCodes: { from: '[redacted]', to: '[redacted]' } },
+      metadata: { method },
+      req
+    });
+
+    res.json({
+      success: true,
+      message: 'New recovery codes generated. Previous codes no longer work.',
+      data: { recoveryCodes }
+    });
+
+  } catch (error) {
+    console.error('Recovery codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error generating recovery codes'
+    });
+  }
+});
+
+// Verify email address from the emailed link
+router.post('/verify-email', authLimiter, [
+  body('token').notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { userId, email } = verification.verifyEmailToken(req.body.token);
+    const user = await userModel.findById(userId);
+
+    // The link must be for the address currently awaiting verification
+    if (!user || email !== (user.pendingEmail || user.email)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification link is invalid or has expired'
+      });
+    }
+
+    if (user.pendingEmail) {
+      const taken = await userModel.exists({ email: user.pendingEmail, _id: { $ne: user._id } });
+
+      if (taken) {
+        return res.status(400).json({
+          success: false,
+          message: 'This email address is already in use'
+        });
+      }
+
+      user.email = user.pendingEmail;
+      user.pendingEmail = undefined;
+    }
+
+    user.emailVerified = true;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Email address verified'
+    });
+
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error verifying email'
+    });
+  }
+});
+
+// Resend the email verification link
+router.post('/verify-email/resend', auth, codeSendLimiter, async (req, res) => {
+  try {
+    if (req.user.emailVerified && !req.user.pendingEmail) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email address is already verified'
+      });
+    }
+
+    await verification.resendEmailVerification(req.user);
+
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+
+  } catch (error) {
+    if (error instanceof HttpError) {
+      if (error.details && error.details.retryAfter) {
+        res.set('Retry-After', String(error.details.retryAfter));
+      }
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        ...error.details
+      });
+    }
+
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error sending verification email'
+    });
+  }
+});
+
+// Send a verification code to the customer's phone
+router.post('/verify-phone/send', auth, codeSendLimiter, async (req, res) => {
+  try {
+    const user = await userModel.findById(req.user._id);
+
+    if (user.phoneVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Phone number is already verified'
+      });
+    }
+
+    await verification.sendPhoneCode(user);
+
+    res.json({
+      success: true,
+      message: 'Verification code sent'
+    });
+
+  } catch (error) {
+    if (error instanceof HttpError) {
+      if (error.details && error.details.retryAfter) {
+        res.set('Retry-After', String(error.details.retryAfter));
+      }
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        ...error.details
+      });
+    }
+
+    console.error('Send phone code error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error sending verification code'
+    });
+  }
+});
+
+// Confirm the phone number with the code sent by SMS
+router.post('/verify-phone', auth, [
+  body('code').trim().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const user = await userModel.findById(req.user._id);
+    await verification.verifyPhoneCode(user, req.body.code);
+
+    res.json({
+      success: true,
+      message: 'Phone number verified'
+    });
+
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Verify phone error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error verifying phone'
+    });
+  }
+});
+
 // Get current user
 router.get('/me', auth, async (req, res) => {
   try {
     res.json({
       success: true,
-      user: req.user
+      user: req.user,
+      permissions: permissionsFor(req.user.roles)
     });
   } catch (error) {
     res.status(500).json({
@@ -201,6 +865,14 @@ router.post('/change-password', auth, [
     // Verify current password
     const isMatch = await user.comparePassword(currentPassword);
     if (!isMatch) {
+      await audit.record({
+        actor: user._id,
+        action: 'auth.password_change',
+        target: { type: 'user', id: user._id },
+        outcome: 'failure',
+        metadata: { reason: 'invalid_current_password' },
+        req
+      });
       return res.status(400).json({
         success: false,
         message: 'Current password is incorrect'
@@ -211,6 +883,18 @@ router.post('/change-password', auth, [
     user.password = newPassword;
     await user.save();
 
+    // Sign out every other device
+    const revoked = await revokeAllSessions(user._id, 'password_change', req.sessionId);
+
+    await audit.record({
+      actor: user._id,
+      action: 'auth.password_change',
+      target: { type: 'user', id: user._id },
+      changes: { password: { from: '[redacted]', to: '[redacted]' } },
+      metadata: { sessionsRevoked: revoked.modifiedCount },
+      req
+    });
+
     res.json({
       success: true,
       message: 'Password changed successfully'
@@ -224,13 +908,221 @@ router.post('/change-password', auth, [
   }
 });
 
-// Logout (client-side token removal)
-router.post('/logout', auth, async (req, res) => {
-  // In a real app, you might want to implement token blacklisting
+// Request a password reset link. The response never reveals whether the
+// email belongs to an account.
+router.post('/forgot-password', authLimiter, [
+  body('email').isEmail().normalizeEmail()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  // Not awaited, so response time does not depend on the account existing
+  requestPasswordReset(req.body.email)
+    .catch(err => console.error('Forgot password error:', err));
+
   res.json({
     success: true,
-    message: 'Logged out successfully'
+    message: 'If an account exists for that email, a reset link has been sent'
   });
 });
 
+// Set a new password with the emailed token
+router.post('/reset-password', authLimiter, [
+  body('token').notEmpty(),
+  body('newPassword').isLength({ min: 6 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const user = await resetPassword(req.body.token, req.body.newPassword);
+
+    await audit.record({
+      actor: user._id,
+      action: 'auth.password_reset',
+      target: { type: 'user', id: user._id },
+      changes: { password: { from: '[redacted]', to: '[redacted]' } },
+      req
+    });
+
+    res.json({
+      success: true,
+      message: 'Password has been reset. Please sign in with your new password.'
+    });
+
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error resetting password'
+    });
+  }
+});
+
+// Exchange a refresh token for a new token pair
+router.post('/refresh', authLimiter, [
+  body('refreshToken').notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { accessToken, refreshToken } = await rotateSession(req.body.refreshToken, req);
+
+    res.json({
+      success: true,
+      token: accessToken,
+      refreshToken
+    });
+
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error refreshing session'
+    });
+  }
+});
+
+// Logout (revokes this device's session)
+router.post('/logout', auth, async (req, res) => {
+  try {
+    await revokeSession(req.sessionId, 'logout');
+
+    await audit.record({
+      actor: req.user._id,
+      action: 'auth.logout',
+      target: { type: 'session', id: req.sessionId },
+      before: { revoked: false },
+      after: { revoked: true, reason: 'logout' },
+      req
+    });
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// List signed-in devices
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await listActiveSessions(req.user._id);
+
+    res.json({
+      success: true,
+      data: sessions.map(session => ({
+        ...session.toJSON(),
+        current: session._id.equals(req.sessionId)
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching sessions'
+    });
+  }
+});
+
+// Sign out every device, including this one
+router.delete('/sessions', auth, async (req, res) => {
+  try {
+    const result = await revokeAllSessions(req.user._id, 'user');
+
+    await audit.record({
+      actor: req.user._id,
+      action: 'auth.sessions_revoke',
+      target: { type: 'user', id: req.user._id },
+      metadata: { sessionsRevoked: result.modifiedCount },
+      req
+    });
+
+    res.json({
+      success: true,
+      message: `Revoked ${result.modifiedCount} session(s)`
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error revoking sessions'
+    });
+  }
+});
+
+// Sign out one device
+router.delete('/sessions/:id', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    const result = await revokeSession(req.params.id, 'user', req.user._id);
+
+    if (result.modifiedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await audit.record({
+      actor: req.user._id,
+      action: 'auth.session_revoke',
+      target: { type: 'session', id: req.params.id },
+      before: { revoked: false },
+      after: { revoked: true, reason: 'user' },
+      metadata: { current: String(req.params.id) === String(req.sessionId) },
+      req
+    });
+
+    res.json({
+      success: true,
+      message: 'Session revoked'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error revoking session'
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,203 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const { auth } = require('../middleware/auth');
+const Account = require('../models/account');
+const Budget = require('../models/budget');
+const budgets = require('../services/budgets');
+const audit = require('../services/audit');
+const HttpError = require('../utils/httpError');
+const { SUPPORTED_CURRENCIES, toMinor } = require('../utils/money');
+
+// Mounted under /api/account
+
+// Budgets with this month's spending (?month=YYYY-MM for another month)
+router.get('/budgets', auth, async (req, res) => {
+  try {
+    let date = new Date();
+
+    if (req.query.month) {
+      if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(req.query.month)) {
+        return res.status(400).json({
+          success: false,
+          message: 'month must be YYYY-MM'
+        });
+      }
+      date = new Date(`${req.query.month}-01T00:00:00Z`);
+    }
+
+    res.json({
+      success: true,
+      data: await budgets.getProgress(req.user._id, date)
+    });
+
+  } catch (error) {
+    console.error('Budget progress error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching budgets'
+    });
+  }
+});
+
+// Set a monthly budget for a category. Amount is decimal; currency
+// defaults to that of the customer's first open account.
+router.post('/budgets', auth, [
+  body('category').trim().notEmpty().isLength({ max: 50 }),
+  body('amount').isFloat({ min: 0.01 }),
+  body('currency').optional().isIn(SUPPORTED_CURRENCIES)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    let { currency } = req.body;
+
+    if (!currency) {
+      const account = await Account.findOne({ customer: req.user._id, status: { $ne: 'closed' } })
+        .sort({ createdAt: 1 });
+      currency = account ? account.currency : 'USD';
+    }
+
+    const budget = await Budget.create({
+      customer: req.user._id,
+      category: req.body.category,
+      amount: toMinor(req.body.amount, currency),
+      currency
+    });
+
+    await audit.record({
+      actor: req.user._id,
+      action: 'budget.create',
+      target: { type: 'budget', id: budget._id },
+      after: { category: budget.category, amount: budget.amount, currency },
+      req
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Budget created',
+      data: budget
+    });
+
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'There is already a budget for this category and currency'
+      });
+    }
+
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error creating budget'
+    });
+  }
+});
+
+// Change a budget's amount
+router.put('/budgets/:id', auth, [
+  body('amount').isFloat({ min: 0.01 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const budget = await Budget.findOne({ _id: req.params.id, customer: req.user._id });
+
+    if (!budget) {
+      return res.status(404).json({
+        success: false,
+        message: 'Budget not found'
+      });
+    }
+
+    const before = budget.amount;
+    budget.amount = toMinor(req.body.amount, budget.currency);
+    // Alerts start over against the new amount
+    budget.alertLevel = 0;
+    await budget.save();
+
+    await audit.record({
+      actor: req.user._id,
+      action: 'budget.update',
+      target: { type: 'budget', id: budget._id },
+      before: { amount: before },
+      after: { amount: budget.amount },
+      req
+    });
+
+    budgets.checkBudgets(req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Budget updated',
+      data: budget
+    });
+
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating budget'
+    });
+  }
+});
+
+// Remove a budget
+router.delete('/budgets/:id', auth, async (req, res) => {
+  try {
+    const budget = await Budget.findOneAndDelete({ _id: req.params.id, customer: req.user._id });
+
+    if (!budget) {
+      return res.status(404).json({
+        success: false,
+        message: 'Budget not found'
+      });
+    }
+
+    await audit.record({
+      actor: req.user._id,
+      action: 'budget.delete',
+      target: { type: 'budget', id: budget._id },
+      before: { category: budget.category, amount: budget.amount, currency: budget.currency },
+      req
+    });
+
+    res.json({
+      success: true,
+      message: 'Budget removed'
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error removing budget'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,98 @@
+const express = require('express');
+const router = express.Router();
+const jwt = require('jsonwebtoken');
+const { auth, eventsAuth } = require('../middleware/auth');
+const realtime = require('../services/realtime');
+const { signEventsToken } = require('../services/session');
+
+const HEARTBEAT_MS = 25 * 1000;
+
+// EventSource cannot send headers, so browsers open the stream with an
+// events token as ?token=. The access token never goes in the URL, where
+// it would end up in logs and browser history.
+const streamAuth = (req, res, next) => (req.header('Authorization') ? auth : eventsAuth)(req, res, next);
+
+// Short-lived token for opening the stream with EventSource
+router.post('/token', auth, (req, res) => {
+  try {
+    const { exp } = jwt.decode(req.token);
+
+    res.json({
+      success: true,
+      data: { token: signEventsToken(req.user._id, req.sessionId, exp) }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error issuing events token'
+    });
+  }
+});
+
+// Server-Sent Events stream of the user's balance and transaction
+// updates (balance.updated, transaction.updated), plus approval queue
+// updates (approval.updated) for staff. The stream ends when the access
+// token expires; reconnect with a fresh one and reload the dashboard to
+// catch up on anything missed.
+router.get('/', streamAuth, async (req, res) => {
+  let heartbeat;
+  let expiry;
+  let disconnect;
+  let closed = false;
+
+  const cleanup = () => {
+    if (closed) return;
+    closed = true;
+
+    clearInterval(heartbeat);
+    clearTimeout(expiry);
+    if (disconnect) {
+      disconnect().catch(err => console.error('Event stream cleanup error:', err));
+    }
+  };
+
+  try {
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      // Stop proxies such as nginx from buffering the stream
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const send = ({ event, data }) => {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    req.on('close', cleanup);
+
+    disconnect = await realtime.connect(req.user, send);
+
+    // The client went away while we were subscribing
+    if (closed) {
+      await disconnect();
+      return;
+    }
+
+    send({ event: 'ready', data: { userId: req.user._id } });
+
+    heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+    // An events token lasts only long enough to connect; the stream
+    // lasts as long as the access token it was issued for
+    const { exp, until } = jwt.decode(req.token);
+    expiry = setTimeout(() => {
+      send({ event: 'token.expired', data: {} });
+      cleanup();
+      res.end();
+    }, Math.max((until || exp) * 1000 - Date.now(), 0));
+
+  } catch (error) {
+    console.error('Event stream error:', error);
+    cleanup();
+    res.end();
+  }
+});
+
+module.exports = router;
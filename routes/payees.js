@@ -0,0 +1,178 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const { auth } = require('../middleware/auth');
+const { payeeLookupLimiter } = require('../middleware/rateLimit');
+const Payee = require('../models/payee');
+const { addPayee } = require('../services/payees');
+const { sendMail } = require('../services/mailer');
+const audit = require('../services/audit');
+const HttpError = require('../utils/httpError');
+
+// List saved payees
+router.get('/', auth, async (req, res) => {
+  try {
+    const payees = await Payee.find({ customer: req.user._id }).sort({ nickname: 1, name: 1 });
+
+    res.json({
+      success: true,
+      data: payees
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching payees'
+    });
+  }
+});
+
+// Add a payee. The account holder's name comes from the account lookup
+// and is returned so the customer can check it. Rate limited, as the
+// lookup would otherwise let anyone list names by account number.
+router.post('/', auth, payeeLookupLimiter, [
+  body('accountNumber').trim().notEmpty(),
+  body('nickname').optional().trim().isLength({ max: 50 }),
+  body('name').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const payee = await addPayee(req.user._id, {
+      accountNumber: req.body.accountNumber,
+      nickname: req.body.nickname,
+      expectedName: req.body.name
+    });
+
+    await audit.record({
+      actor: req.user._id,
+      action: 'payee.add',
+      target: { type: 'payee', id: payee._id },
+      metadata: { accountNumber: payee.accountNumber, name: payee.name },
+      req
+    });
+
+    // A payee added by someone else is a common sign of account takeover
+    sendMail({
+      to: req.user.email,
+      subject: 'A new payee was added to your account',
+      text: `${payee.name} (account ending ${payee.accountNumber.slice(-4)}) was added to your payees on ${payee.createdAt.toUTCString()}.\n\nIf you did not do this, contact us immediately.`
+    }).catch(err => console.error('New payee notice error:', err));
+
+    res.status(201).json({
+      success: true,
+      message: `Payee added. Transfers to ${payee.name} are limited until ${payee.coolingOffUntil.toISOString()}.`,
+      data: payee
+    });
+
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Add payee error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error adding payee'
+    });
+  }
+});
+
+// Change a payee's nickname
+router.put('/:id', auth, [
+  body('nickname').trim().isLength({ max: 50 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const payee = await Payee.findOneAndUpdate(
+      { _id: req.params.id, customer: req.user._id },
+      req.body.nickname ? { nickname: req.body.nickname } : { $unset: { nickname: 1 } }
+    );
+
+    if (!payee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payee not found'
+      });
+    }
+
+    const before = { nickname: payee.nickname };
+    payee.nickname = req.body.nickname || undefined;
+
+    await audit.record({
+      actor: req.user._id,
+      action: 'payee.update',
+      target: { type: 'payee', id: payee._id },
+      before,
+      after: { nickname: payee.nickname },
+      metadata: { accountNumber: payee.accountNumber },
+      req
+    });
+
+    res.json({
+      success: true,
+      message: 'Payee updated',
+      data: payee
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating payee'
+    });
+  }
+});
+
+// Remove a payee
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const payee = await Payee.findOneAndDelete({
+      _id: req.params.id,
+      customer: req.user._id
+    });
+
+    if (!payee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payee not found'
+      });
+    }
+
+    await audit.record({
+      actor: req.user._id,
+      action: 'payee.delete',
+      target: { type: 'payee', id: payee._id },
+      metadata: { accountNumber: payee.accountNumber, name: payee.name },
+      req
+    });
+
+    res.json({
+      success: true,
+      message: 'Payee removed'
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error removing payee'
+    });
+  }
+});
+
+module.exports = router;
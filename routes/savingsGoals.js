@@ -0,0 +1,346 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const { auth } = require('../middleware/auth');
+const Account = require('../models/account');
+const SavingsGoal = require('../models/savingsGoal');
+const Transaction = require('../models/transaction');
+const savings = require('../services/savings');
+const audit = require('../services/audit');
+const HttpError = require('../utils/httpError');
+const { toMinor } = require('../utils/money');
+
+// Mounted under /api/account
+
+const RECENT_SWEEPS = 20;
+
+// Sweep settings from the request in minor units of `currency`.
+// Amounts are decimal.
+const parseSweep = (sweep = {}, currency) => {
+  const type = sweep.type || 'none';
+
+  if (type === 'fixed') {
+    if (!sweep.amount || !sweep.dayOfMonth) {
+      throw new HttpError(400, 'A fixed sweep needs an amount and a dayOfMonth');
+    }
+    return {
+      type,
+      amount: toMinor(sweep.amount, currency),
+      dayOfMonth: sweep.dayOfMonth
+    };
+  }
+
+  if (type === 'roundup') {
+    return {
+      type,
+      ...(sweep.roundTo && { roundTo: toMinor(sweep.roundTo, currency) })
+    };
+  }
+
+  return { type };
+};
+
+const sweepValidators = [
+  body('sweep.type').optional().isIn(['none', 'roundup', 'fixed']),
+  body('sweep.amount').optional().isFloat({ min: 0.01 }),
+  body('sweep.roundTo').optional().isFloat({ min: 0.01 }),
+  body('sweep.dayOfMonth').optional().isInt({ min: 1, max: 31 }).toInt()
+];
+
+const pickGoal = (goal) => {
+  const { name, targetAmount, targetDate, sweep, status } = goal.toObject();
+  return { name, targetAmount, targetDate, sweep, status };
+};
+
+// Savings goals with their progress
+router.get('/savings-goals', auth, async (req, res) => {
+  try {
+    const goals = await SavingsGoal.find({ customer: req.user._id }).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: goals.map(savings.getGoalProgress)
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching savings goals'
+    });
+  }
+});
+
+// A savings goal with its progress and recent sweeps
+router.get('/savings-goals/:id', auth, async (req, res) => {
+  try {
+    const goal = await SavingsGoal.findOne({ _id: req.params.id, customer: req.user._id });
+
+    if (!goal) {
+      return res.status(404).json({
+        success: false,
+        message: 'Savings goal not found'
+      });
+    }
+
+    const sweeps = await Transaction.find({
+      userId: req.user._id,
+      savingsGoal: goal._id,
+      type: 'credit'
+    })
+      .select(Transaction.CUSTOMER_HIDDEN_FIELDS)
+      .sort({ createdAt: -1 })
+      .limit(RECENT_SWEEPS);
+
+    res.json({
+      success: true,
+      data: {
+        ...savings.getGoalProgress(goal),
+        sweeps
+      }
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching savings goal'
+    });
+  }
+});
+
+// Create a savings goal funded from a checking account into a savings
+// account of the same currency
+router.post('/savings-goals', auth, [
+  body('name').trim().notEmpty().isLength({ max: 100 }),
+  body('targetAmount').isFloat({ min: 0.01 }),
+  body('targetDate').optional({ values: 'null' }).isISO8601().toDate(),
+  body('fromAccount').trim().notEmpty(),
+  body('toAccount').trim().notEmpty(),
+  ...sweepValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const [from, to] = await Promise.all([
+      Account.findOwned(req.user._id, req.body.fromAccount),
+      Account.findOwned(req.user._id, req.body.toAccount)
+    ]);
+
+    if (!from || !to) {
+      return res.status(404).json({
+        success: false,
+        message: 'Account not found'
+      });
+    }
+
+    if (from.accountType !== 'checking' || to.accountType !== 'savings') {
+      return res.status(400).json({
+        success: false,
+        message: 'Sweeps go from a checking account to a savings account'
+      });
+    }
+
+    if (from.status !== 'active' || to.status !== 'active') {
+      return res.status(400).json({
+        success: false,
+        message: 'Both accounts must be active'
+      });
+    }
+
+    if (from.currency !== to.currency) {
+      return res.status(400).json({
+        success: false,
+        message: 'Both accounts must hold the same currency'
+      });
+    }
+
+    const now = new Date();
+    const goal = new SavingsGoal({
+      customer: req.user._id,
+      name: req.body.name,
+      targetAmount: toMinor(req.body.targetAmount, to.currency),
+      currency: to.currency,
+      targetDate: req.body.targetDate,
+      fromAccount: from._id,
+      toAccount: to._id,
+      sweep: parseSweep(req.body.sweep, from.currency),
+      roundUpCursor: now
+    });
+    goal.nextSweepAt = savings.nextSweepAfter(goal, now);
+    await goal.save();
+
+    await audit.record({
+      actor: req.user._id,
+      action: 'savings_goal.create',
+      target: { type: 'savings_goal', id: goal._id },
+      after: pickGoal(goal),
+      req
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Savings goal created',
+      data: savings.getGoalProgress(goal)
+    });
+
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error creating savings goal'
+    });
+  }
+});
+
+// Edit, pause or resume a savings goal
+router.put('/savings-goals/:id', auth, [
+  body('name').optional().trim().notEmpty().isLength({ max: 100 }),
+  body('targetAmount').optional().isFloat({ min: 0.01 }),
+  body('targetDate').optional({ values: 'null' }).isISO8601().toDate(),
+  body('status').optional().isIn(['active', 'paused']),
+  ...sweepValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const goal = await SavingsGoal.findOne({ _id: req.params.id, customer: req.user._id });
+
+    if (!goal) {
+      return res.status(404).json({
+        success: false,
+        message: 'Savings goal not found'
+      });
+    }
+
+    if (!['active', 'paused'].includes(goal.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot edit a ${goal.status} savings goal`
+      });
+    }
+
+    const before = pickGoal(goal);
+    const { name, targetAmount, targetDate, sweep, status } = req.body;
+    const now = new Date();
+
+    if (name !== undefined) goal.name = name;
+    if (targetAmount !== undefined) goal.targetAmount = toMinor(targetAmount, goal.currency);
+    if (targetDate !== undefined) goal.targetDate = targetDate;
+
+    if (sweep !== undefined) {
+      goal.sweep = parseSweep(sweep, goal.currency);
+      goal.roundUpCursor = now;
+    }
+
+    if (status === 'active' && goal.status === 'paused') {
+      // Debits made while paused are not rounded up
+      goal.roundUpCursor = now;
+    }
+    if (status !== undefined) goal.status = status;
+
+    if (goal.status === 'active' && (sweep !== undefined || before.status === 'paused')) {
+      goal.nextSweepAt = savings.nextSweepAfter(goal, now);
+    }
+
+    if (goal.savedAmount >= goal.targetAmount) {
+      goal.status = 'completed';
+      goal.completedAt = now;
+      goal.nextSweepAt = undefined;
+    }
+
+    await goal.save();
+
+    await audit.record({
+      actor: req.user._id,
+      action: 'savings_goal.update',
+      target: { type: 'savings_goal', id: goal._id },
+      before,
+      after: pickGoal(goal),
+      req
+    });
+
+    res.json({
+      success: true,
+      message: 'Savings goal updated',
+      data: savings.getGoalProgress(goal)
+    });
+
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating savings goal'
+    });
+  }
+});
+
+// Cancel a savings goal. Money already saved stays in the savings account.
+router.delete('/savings-goals/:id', auth, async (req, res) => {
+  try {
+    const goal = await SavingsGoal.findOne({ _id: req.params.id, customer: req.user._id });
+
+    if (!goal) {
+      return res.status(404).json({
+        success: false,
+        message: 'Savings goal not found'
+      });
+    }
+
+    if (goal.status === 'cancelled') {
+      return res.status(400).json({
+        success: false,
+        message: 'Savings goal is already cancelled'
+      });
+    }
+
+    const before = pickGoal(goal);
+    goal.status = 'cancelled';
+    goal.nextSweepAt = undefined;
+    await goal.save();
+
+    await audit.record({
+      actor: req.user._id,
+      action: 'savings_goal.cancel',
+      target: { type: 'savings_goal', id: goal._id },
+      before,
+      after: pickGoal(goal),
+      req
+    });
+
+    res.json({
+      success: true,
+      message: 'Savings goal cancelled'
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error cancelling savings goal'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,371 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const { auth } = require('../middleware/auth');
+const User = require('../models/user');
+const Account = require('../models/account');
+const StandingOrder = require('../models/standingOrder');
+const Transaction = require('../models/transaction');
+const twoFactor = require('../services/twoFactor');
+const { assertCanSchedule } = require('../services/transfer');
+const audit = require('../services/audit');
+const { computeNextRun, isWithinLimits } = require('../utils/recurrence');
+const HttpError = require('../utils/httpError');
+const { paginate } = require('../utils/pagination');
+const { toMinor } = require('../utils/money');
+
+// Fields recorded in the audit log when an order changes
+const pickOrder = (order) => {
+  const { amount, description, schedule, nextRunAt, endDate, maxOccurrences, status } = order.toObject();
+  return { amount, description, schedule, nextRunAt, endDate, maxOccurrences, status };
+};
+
+// List standing orders
+router.get('/', auth, async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    const query = { userId: req.user._id };
+    if (status) query.status = status;
+
+    const standingOrders = await paginate(StandingOrder, query, req.query, {
+      sortFields: ['createdAt', 'nextRunAt', 'amount']
+    });
+
+    res.json({
+      success: true,
+      data: standingOrders
+    });
+
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching standing orders'
+    });
+  }
+});
+
+// Get a standing order with its run history
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const standingOrder = await StandingOrder.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!standingOrder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Standing order not found'
+      });
+    }
+
+    const runs = await Transaction.find({
+      userId: req.user._id,
+      standingOrder: standingOrder._id
+    })
+      .select(Transaction.CUSTOMER_HIDDEN_FIELDS)
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        ...standingOrder.toObject(),
+        runs
+      }
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching standing order'
+    });
+  }
+});
+
+// Edit a standing order
+router.put('/:id', auth, [
+  body('amount').optional().isFloat({ min: 0.01 }),
+  body('description').optional().trim(),
+  body('nextRunAt').optional().isISO8601(),
+  body('frequency').optional().isIn(['once', 'daily', 'weekly', 'monthly']),
+  body('interval').optional().isInt({ min: 1 }),
+  body('dayOfMonth').optional().isInt({ min: 1, max: 31 }),
+  body('endDate').optional({ nullable: true }).isISO8601(),
+  body('maxOccurrences').optional({ nullable: true }).isInt({ min: 1 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const standingOrder = await StandingOrder.findOne({
+      _id: req.params.id,
+      userId: req.user._id,
+      status: { $in: ['active', 'paused'] }
+    });
+
+    if (!standingOrder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Active or paused standing order not found'
+      });
+    }
+
+    const before = pickOrder(standingOrder);
+    const {
+      amount,
+      description,
+      nextRunAt,
+      frequency,
+      interval,
+      dayOfMonth,
+      endDate,
+      maxOccurrences
+    } = req.body;
+
+    if (nextRunAt && new Date(nextRunAt) < new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Next run date must be in the future'
+      });
+    }
+
+    if (amount !== undefined) {
+      const amountMinor = toMinor(amount, standingOrder.currency);
+      const customer = await User.findById(req.user._id);
+      const source = await Account.findOwned(req.user._id, standingOrder.fromAccount);
+
+      if (!source) {
+        return res.status(404).json({
+          success: false,
+          message: 'Source account not found'
+        });
+      }
+
+      // Same checks as scheduling the order in the first place
+      await twoFactor.assertStepUp(customer, {
+        amount: amountMinor,
+        currency: standingOrder.currency,
+        method: req.header('X-2FA-Method'),
+        code: req.header('X-2FA-Code')
+      });
+
+      await assertCanSchedule({
+        customer,
+        source,
+        toAccount: standingOrder.toAccount,
+        amount: amountMinor
+      });
+
+      standingOrder.amount = amountMinor;
+    }
+    if (description !== undefined) standingOrder.description = description;
+    if (nextRunAt) standingOrder.nextRunAt = new Date(nextRunAt);
+    if (frequency) standingOrder.schedule.frequency = frequency;
+    if (interval) standingOrder.schedule.interval = interval;
+    if (dayOfMonth) standingOrder.schedule.dayOfMonth = dayOfMonth;
+    if (endDate !== undefined) standingOrder.endDate = endDate ? new Date(endDate) : undefined;
+    if (maxOccurrences !== undefined) standingOrder.maxOccurrences = maxOccurrences || undefined;
+
+    if (standingOrder.schedule.frequency === 'monthly' && !standingOrder.schedule.dayOfMonth) {
+      standingOrder.schedule.dayOfMonth = standingOrder.nextRunAt.getUTCDate();
+    }
+
+    if (!isWithinLimits(standingOrder, standingOrder.nextRunAt)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Next run falls outside the end date or occurrence limit'
+      });
+    }
+
+    await standingOrder.save();
+
+    await audit.record({
+      actor: req.user._id,
+      action: 'standing_order.update',
+      target: { type: 'standing_order', id: standingOrder._id },
+      before,
+      after: pickOrder(standingOrder),
+      req
+    });
+
+    res.json({
+      success: true,
+      message: 'Standing order updated successfully',
+      data: standingOrder
+    });
+
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        ...error.details
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating standing order'
+    });
+  }
+});
+
+// Pause a standing order
+router.post('/:id/pause', auth, async (req, res) => {
+  try {
+    const standingOrder = await StandingOrder.findOneAndUpdate(
+      { _id: req.params.id, userId: req.user._id, status: 'active' },
+      { status: 'paused' },
+      { new: true }
+    );
+
+    if (!standingOrder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Active standing order not found'
+      });
+    }
+
+    await audit.record({
+      actor: req.user._id,
+      action: 'standing_order.pause',
+      target: { type: 'standing_order', id: standingOrder._id },
+      before: { status: 'active' },
+      after: { status: standingOrder.status },
+      req
+    });
+
+    res.json({
+      success: true,
+      message: 'Standing order paused',
+      data: standingOrder
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error pausing standing order'
+    });
+  }
+});
+
+// Resume a paused standing order. Recurring runs missed while paused are
+// skipped rather than executed all at once.
+router.post('/:id/resume', auth, async (req, res) => {
+  try {
+    const standingOrder = await StandingOrder.findOne({
+      _id: req.params.id,
+      userId: req.user._id,
+      status: 'paused'
+    });
+
+    if (!standingOrder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Paused standing order not found'
+      });
+    }
+
+    const before = pickOrder(standingOrder);
+    const now = new Date();
+    let nextRunAt = standingOrder.nextRunAt;
+
+    if (standingOrder.schedule.frequency !== 'once') {
+      while (nextRunAt && nextRunAt < now) {
+        nextRunAt = computeNextRun(standingOrder.schedule, nextRunAt);
+      }
+    }
+
+    if (!isWithinLimits(standingOrder, nextRunAt)) {
+      standingOrder.status = 'completed';
+      standingOrder.nextRunAt = undefined;
+    } else {
+      standingOrder.status = 'active';
+      standingOrder.nextRunAt = nextRunAt;
+    }
+
+    await standingOrder.save();
+
+    await audit.record({
+      actor: req.user._id,
+      action: 'standing_order.resume',
+      target: { type: 'standing_order', id: standingOrder._id },
+      before,
+      after: pickOrder(standingOrder),
+      req
+    });
+
+    res.json({
+      success: true,
+      message: `Standing order ${standingOrder.status === 'active' ? 'resumed' : 'has already ended'}`,
+      data: standingOrder
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error resuming standing order'
+    });
+  }
+});
+
+// Cancel a standing order
+router.post('/:id/cancel', auth, async (req, res) => {
+  try {
+    const standingOrder = await StandingOrder.findOneAndUpdate(
+      {
+        _id: req.params.id,
+        userId: req.user._id,
+        status: { $in: ['active', 'paused'] }
+      },
+      { status: 'cancelled', $unset: { nextRunAt: 1 } }
+    );
+
+    if (!standingOrder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Active or paused standing order not found'
+      });
+    }
+
+    const before = pickOrder(standingOrder);
+    standingOrder.status = 'cancelled';
+    standingOrder.nextRunAt = undefined;
+
+    await audit.record({
+      actor: req.user._id,
+      action: 'standing_order.cancel',
+      target: { type: 'standing_order', id: standingOrder._id },
+      before,
+      after: pickOrder(standingOrder),
+      req
+    });
+
+    res.json({
+      success: true,
+      message: 'Standing order cancelled successfully',
+      data: standingOrder
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error cancelling standing order'
+    });
+  }
+});
+
+module.exports = router;
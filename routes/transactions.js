@@ -2,15 +2,52 @@ const express = require('express');
 const router = express.Router();
 const { body, validationResult } = require('express-validator');
 const { auth } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
 const User = require('../models/user');
+const Account = require('../models/account');
 const Transaction = require('../models/transaction');
+const StandingOrder = require('../models/standingOrder');
+const Payee = require('../models/payee');
+const { executeTransfer, assertCanSchedule } = require('../services/transfer');
+const twoFactor = require('../services/twoFactor');
+const { assertCanTransfer } = require('../services/verification');
+const audit = require('../services/audit');
+const exportsService = require('../services/exports');
+const webhooks = require('../services/webhooks');
+const realtime = require('../services/realtime');
+const categorization = require('../services/categorization');
+const HttpError = require('../utils/httpError');
+const { paginate } = require('../utils/pagination');
+const { toMinor } = require('../utils/money');
+const { parsePeriod } = require('../utils/period');
+
+const TRANSACTION_SORT_FIELDS = ['createdAt', 'amount', 'completedAt', 'status', 'type'];
+
+const { CUSTOMER_HIDDEN_FIELDS } = Transaction;
+
+// Transfers name their destination with either toAccount or a saved payee id
+const destinationValidators = [
+  body('toAccount').if(body('payee').not().exists()).notEmpty().trim(),
+  body('payee').optional().isMongoId()
+];
+
+const resolveDestination = async (req) => {
+  if (!req.body.payee) return req.body.toAccount;
+
+  const payee = await Payee.findOne({ _id: req.body.payee, customer: req.user._id });
+
+  if (!payee) {
+    throw new HttpError(404, 'Payee not found');
+  }
+
+  return payee.accountNumber;
+};
 
 // Get all transactions with pagination
 router.get('/', auth, async (req, res) => {
   try {
     const {
-      page = 1,
-      limit = 20,
+      account,
       type,
       status,
       category,
@@ -21,6 +58,20 @@ router.get('/', auth, async (req, res) => {
 
     const query = { userId: req.user._id };
 
+    // Limit to one of the customer's accounts
+    if (account) {
+      const owned = await Account.findOwned(req.user._id, account);
+
+      if (!owned) {
+        return res.status(404).json({
+          success: false,
+          message: 'Account not found'
+        });
+      }
+
+      query.accountId = owned._id;
+    }
+
     // Apply filters
     if (type) query.type = type;
     if (status) query.status = status;
@@ -43,13 +94,10 @@ router.get('/', auth, async (req, res) => {
       ];
     }
 
-    const options = {
-      page: parseInt(page),
-      limit: parseInt(limit),
-      sort: { createdAt: -1 }
-    };
-
-    const transactions = await Transaction.find(query);
+    const transactions = await paginate(Transaction, query, req.query, {
+      sortFields: TRANSACTION_SORT_FIELDS,
+      select: CUSTOMER_HIDDEN_FIELDS
+    });
 
     res.json({
       success: true,
@@ -57,6 +105,13 @@ router.get('/', auth, async (req, res) => {
     });
 
   } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     console.error('Get transactions error:', error);
     res.status(500).json({
       success: false,
@@ -65,13 +120,64 @@ router.get('/', auth, async (req, res) => {
   }
 });
 
+// Export completed transactions for accounting software
+// (?account&format=ofx|qif|camt053&startDate&endDate)
+router.get('/export', auth, async (req, res) => {
+  try {
+    const { account, format = 'ofx' } = req.query;
+
+    if (!account) {
+      return res.status(400).json({
+        success: false,
+        message: 'account query parameter is required'
+      });
+    }
+
+    if (!Object.hasOwn(exportsService.FORMATS, format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'format must be ofx, qif or camt053'
+      });
+    }
+
+    const exportAccount = await Account.findOwned(req.user._id, account);
+
+    if (!exportAccount) {
+      return res.status(404).json({
+        success: false,
+        message: 'Account not found'
+      });
+    }
+
+    const period = parsePeriod(req.query);
+    const file = await exportsService.exportTransactions(exportAccount, period, format);
+
+    res.attachment(`transactions-${exportAccount.accountNumber}-${period.start.toISOString().slice(0, 10)}.${file.extension}`);
+    res.type(file.contentType).send(file.body);
+
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Export transactions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error exporting transactions'
+    });
+  }
+});
+
 // Get transaction by ID
 router.get('/:id', auth, async (req, res) => {
   try {
     const transaction = await Transaction.findOne({
       transactionId: req.params.id,
       userId: req.user._id
-    });
+    }).select(CUSTOMER_HIDDEN_FIELDS);
 
     if (!transaction) {
       return res.status(404).json({
@@ -94,8 +200,9 @@ router.get('/:id', auth, async (req, res) => {
 });
 
 // Transfer money
-router.post('/transfer', auth, [
-  body('toAccount').notEmpty().trim(),
+router.post('/transfer', auth, idempotency, [
+  body('fromAccount').notEmpty().trim(),
+  ...destinationValidators,
   body('amount').isFloat({ min: 0.01 }),
   body('description').optional().trim()
 ], async (req, res) => {
@@ -108,165 +215,97 @@ router.post('/transfer', auth, [
       });
     }
 
-    const { toAccount, amount, description } = req.body;
-    const user = req.user;
+    const { fromAccount, amount, description } = req.body;
+    const toAccount = await resolveDestination(req);
 
-    // Check if transferring to own account
-    if (toAccount === user.accountNumber) {
-      return res.status(400).json({
-        success: false,
-        message: 'Cannot transfer to your own account'
-      });
-    }
+    const source = await Account.findOwned(req.user._id, fromAccount);
 
-    // Check balance
-    if (user.balance < amount) {
-      return res.status(400).json({
-        success: false,
-        message: 'Insufficient funds'
-      });
-    }
-
-    // Check daily transfer limit
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    
-    const todaysTransfers = await Transaction.find({
-      userId: user._id,
-      type: 'transfer',
-      status: 'completed',
-      createdAt: { $gte: today }
-    });
-
-    const todaysTotal = todaysTransfers.reduce((sum, t) => sum + t.amount, 0);
-    const dailyLimit = 20000; // $10,000 daily limit
-    
-    if (todaysTotal + amount > dailyLimit) {
-      return res.status(400).json({
+    if (!source) {
+      return res.status(404).json({
         success: false,
-        message: `Daily transfer limit of $${dailyLimit} exceeded`
+        message: 'Source account not found'
       });
     }
 
+    const amountMinor = toMinor(amount, source.currency);
 
+    // High-value transfers need a second factor
+    await twoFactor.assertStepUp(await User.findById(req.user._id), {
+      amount: amountMinor,
+      currency: source.currency,
+      method: req.header('X-2FA-Method'),
+      code: req.header('X-2FA-Code')
+    });
 
-    // Find recipient (simplified - in real app, would check against user database)
-    // const recipientExists = await User.findOne({ accountNumber: toAccount });
-    
-    const recipientExists = {
-      _id: Math.floor(Math.random() * 10000000),
-      accountNumber: toAccount,
-    }
-    
-    // if (!recipientExists) {
-    //   return res.status(404).json({
-    //     success: false,
-    //     message: 'Recipient account not found'
-    //   });
-    // }
-
-    // Calculate fees
-    const transferFee = 0; // Free transfers for demo
-    const netAmount = amount - transferFee;
-
-    // Create transaction record
-    const transaction = new Transaction({
-      userId: user._id,
-      transactionId: Transaction.generateTransactionId(),
-      type: 'transfer',
-      amount,
-      netAmount,
-      fees: transferFee,
-      description: description || `Transfer to account ${toAccount}`,
-      status: 'pending',
-      category: 'transfer',
-      sender: {
-        userId: user._id,
-        name: user.name,
-        accountNumber: user.accountNumber
-      },
-      receiver: {
-        userId: recipientExists._id,
-        // name: recipientExists.name,
-        accountNumber: recipientExists.accountNumber
-      },
+    const { debit, newBalance } = await executeTransfer({
+      customerId: req.user._id,
+      fromAccount,
+      toAccount,
+      amount: amountMinor,
+      description,
       metadata: {
         ipAddress: req.ip,
         userAgent: req.headers['user-agent']
       }
     });
 
-    // Process transfer (simplified - in real app, would use transaction locking)
-    // For demo: First transfer succeeds, second goes pending, third fails
-    const completedTransfers = await Transaction.countDocuments({
-      userId: user._id,
-      type: 'transfer',
-      status: 'completed'
+    await audit.record({
+      actor: req.user._id,
+      action: 'transaction.transfer',
+      target: { type: 'transaction', id: debit._id },
+      metadata: {
+        transactionId: debit.transactionId,
+        fromAccount,
+        toAccount,
+        amount: debit.amount,
+        currency: debit.currency,
+        status: debit.status,
+        riskScore: debit.risk ? debit.risk.score : undefined,
+        riskDecision: debit.risk ? debit.risk.decision : undefined
+      },
+      req
     });
 
+    // Risk reasons are for staff only
+    const { risk, ...data } = debit.toJSON();
 
-    // transaction.status = 'completed';
-    //   transaction.completedAt = new Date();
-      
-    //   // Update balances
-    //   user.balance -= amount;
-    //   await user.save();
-
-    if (completedTransfers === 0) {
-      transaction.status = 'completed';
-      transaction.completedAt = new Date();
-      
-      // Update balances
-      user.balance -= amount;
-      await user.save();
-      
-      // recipientExists.balance += netAmount;
-      // await recipientExists.save();
-    } else if (completedTransfers === 1) {
-      transaction.status = 'pending';
-      // Balances not updated for pending transfers
-    } else {
-      transaction.status = 'pending';
+    if (debit.status === 'failed') {
+      return res.status(422).json({
+        success: false,
+        message: 'Transfer declined. Please contact support.',
+        data
+      });
     }
 
-    await transaction.save();
-
-    // Create notification for recipient if transfer is completed
-    // if (transaction.status === 'completed') {
-    //   const recipientTransaction = new Transaction({
-    //     userId: recipientExists._id,
-    //     transactionId: Transaction.generateTransactionId(),
-    //     type: 'credit',
-    //     amount: netAmount,
-    //     netAmount,
-    //     fees: 0,
-    //     description: `Transfer from ${user.name} (${user.accountNumber})`,
-    //     status: 'completed',
-    //     category: 'transfer',
-    //     sender: {
-    //       userId: user._id,
-    //       name: user.name,
-    //       accountNumber: user.accountNumber
-    //     },
-    //     receiver: {
-    //       userId: recipientExists._id,
-    //       name: recipientExists.name,
-    //       accountNumber: recipientExists.accountNumber
-    //     },
-    //     completedAt: new Date()
-    //   });
-
-    //   await recipientTransaction.save();
-    // }
-
-    res.json({
-      success: transaction.status !== 'failed',
-      message: `Transfer ${transaction.status}`,
-      data: transaction,
-      newBalance: user.balance
+    res.status(debit.status === 'pending' ? 202 : 200).json({
+      success: true,
+      message: debit.status === 'pending' ? 'Transfer held for review' : `Transfer ${debit.status}`,
+      data,
+      newBalance
     });
 
   } catch (error) {
+    if (error instanceof HttpError) {
+      await audit.record({
+        actor: req.user._id,
+        action: 'transaction.transfer',
+        outcome: 'failure',
+        metadata: {
+          fromAccount: req.body.fromAccount,
+          toAccount: req.body.toAccount,
+          payee: req.body.payee,
+          amount: req.body.amount,
+          reason: error.message
+        },
+        req
+      });
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        ...error.details
+      });
+    }
+
     console.error('Transfer error:', error);
     res.status(500).json({
       success: false,
@@ -275,12 +314,18 @@ router.post('/transfer', auth, [
   }
 });
 
-// Schedule transfer
-router.post('/schedule', auth, [
-  body('toAccount').notEmpty().trim(),
+// Schedule a one-off or recurring transfer
+router.post('/schedule', auth, idempotency, [
+  body('fromAccount').notEmpty().trim(),
+  ...destinationValidators,
   body('amount').isFloat({ min: 0.01 }),
   body('scheduleDate').isISO8601(),
-  body('description').optional().trim()
+  body('description').optional().trim(),
+  body('frequency').optional().isIn(['once', 'daily', 'weekly', 'monthly']),
+  body('interval').optional().isInt({ min: 1 }),
+  body('dayOfMonth').optional().isInt({ min: 1, max: 31 }),
+  body('endDate').optional().isISO8601(),
+  body('maxOccurrences').optional().isInt({ min: 1 })
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -291,42 +336,135 @@ router.post('/schedule', auth, [
       });
     }
 
-    const { toAccount, amount, scheduleDate, description } = req.body;
+    const {
+      fromAccount,
+      amount,
+      scheduleDate,
+      description,
+      frequency = 'once',
+      interval,
+      dayOfMonth,
+      endDate,
+      maxOccurrences
+    } = req.body;
+
+    assertCanTransfer(req.user);
 
-    const transaction = new Transaction({
+    const toAccount = await resolveDestination(req);
+    const firstRun = new Date(scheduleDate);
+
+    if (firstRun < new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Schedule date must be in the future'
+      });
+    }
+
+    if (endDate && new Date(endDate) < firstRun) {
+      return res.status(400).json({
+        success: false,
+        message: 'End date must be after the schedule date'
+      });
+    }
+
+    const source = await Account.findOwned(req.user._id, fromAccount);
+
+    if (!source || source.status !== 'active') {
+      return res.status(404).json({
+        success: false,
+        message: 'Active source account not found'
+      });
+    }
+
+    if (toAccount === source.accountNumber) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot transfer to the same account'
+      });
+    }
+
+    const destination = await Account.findOne({ accountNumber: toAccount })
+      .populate('customer', 'name');
+
+    if (!destination) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recipient account not found'
+      });
+    }
+
+    const amountMinor = toMinor(amount, source.currency);
+    const customer = await User.findById(req.user._id);
+
+    // High-value transfers need a second factor
+    await twoFactor.assertStepUp(customer, {
+      amount: amountMinor,
+      currency: source.currency,
+      method: req.header('X-2FA-Method'),
+      code: req.header('X-2FA-Code')
+    });
+
+    await assertCanSchedule({ customer, source, toAccount, amount: amountMinor });
+
+    const standingOrder = new StandingOrder({
       userId: req.user._id,
-      transactionId: Transaction.generateTransactionId(),
-      type: 'transfer',
-      amount,
-      netAmount: amount,
+      fromAccount: source.accountNumber,
+      toAccount,
+      recipientName: destination.customer.name,
+      amount: amountMinor,
+      currency: source.currency,
       description: description || `Scheduled transfer to ${toAccount}`,
-      status: 'scheduled',
-      category: 'transfer',
-      sender: {
-        userId: req.user._id,
-        name: req.user.name,
-        accountNumber: req.user.accountNumber
-      },
-      receiver: {
-        name: 'External Account',
-        accountNumber: toAccount
+      schedule: {
+        frequency,
+        interval,
+        dayOfMonth: frequency === 'monthly'
+          ? (dayOfMonth || firstRun.getUTCDate())
+          : undefined
       },
-      scheduledFor: new Date(scheduleDate),
+      nextRunAt: firstRun,
+      endDate: endDate ? new Date(endDate) : undefined,
+      maxOccurrences,
       metadata: {
         ipAddress: req.ip,
         userAgent: req.headers['user-agent']
       }
     });
 
-    await transaction.save();
+    await standingOrder.save();
 
-    res.json({
+    await audit.record({
+      actor: req.user._id,
+      action: 'transaction.schedule',
+      target: { type: 'standing_order', id: standingOrder._id },
+      metadata: {
+        fromAccount: standingOrder.fromAccount,
+        toAccount,
+        amount: standingOrder.amount,
+        currency: standingOrder.currency,
+        frequency,
+        nextRunAt: standingOrder.nextRunAt
+      },
+      req
+    });
+
+    const { metadata, ...scheduled } = standingOrder.toJSON();
+    webhooks.emit('transaction.scheduled', scheduled, req.user._id);
+
+    res.status(201).json({
       success: true,
       message: 'Transfer scheduled successfully',
-      data: transaction
+      data: standingOrder
     });
 
   } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        ...error.details
+      });
+    }
+
     console.error('Schedule transfer error:', error);
     res.status(500).json({
       success: false,
@@ -338,22 +476,42 @@ router.post('/schedule', auth, [
 // Cancel pending transaction
 router.post('/:id/cancel', auth, async (req, res) => {
   try {
-    const transaction = await Transaction.findOne({
-      _id: req.params.id,
-      userId: req.user._id,
-      status: 'pending'
-    });
+    // Conditional so a transfer being approved at the same moment is
+    // either settled or cancelled, never both
+    const transaction = await Transaction.findOneAndUpdate(
+      {
+        _id: req.params.id,
+        userId: req.user._id,
+        status: 'pending'
+      },
+      {
+        status: 'cancelled',
+        notes: 'Cancelled by user'
+      },
+      { new: true, projection: CUSTOMER_HIDDEN_FIELDS }
+    );
 
     if (!transaction) {
-      return res.status(404).json({
+      const exists = await Transaction.exists({ _id: req.params.id, userId: req.user._id });
+
+      return res.status(exists ? 409 : 404).json({
         success: false,
-        message: 'Pending transaction not found'
+        message: exists ? 'Transaction is no longer pending' : 'Pending transaction not found'
       });
     }
 
-    transaction.status = 'cancelled';
-    transaction.notes = 'Cancelled by user';
-    await transaction.save();
+    await audit.record({
+      actor: req.user._id,
+      action: 'transaction.cancel',
+      target: { type: 'transaction', id: transaction._id },
+      before: { status: 'pending' },
+      after: { status: transaction.status },
+      req
+    });
+
+    webhooks.transactionUpdated(transaction);
+    realtime.transactionChanged(transaction);
+    realtime.approvalQueueChanged(transaction, 'removed');
 
     res.json({
       success: true,
@@ -369,4 +527,45 @@ router.post('/:id/cancel', auth, async (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+// Set the spending category of a transaction, or send null to let the
+// categorization rules decide again
+router.put('/:id/category', auth, [
+  body('category').optional({ values: 'null' }).trim().notEmpty().isLength({ max: 50 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const transaction = await categorization.setCategory(req.user._id, req.params.id, req.body.category || null);
+
+    res.json({
+      success: true,
+      message: 'Category updated',
+      data: {
+        transactionId: transaction.transactionId,
+        spendingCategory: transaction.spendingCategory || null,
+        categorySource: transaction.categorySource || null
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating category'
+    });
+  }
+});
+
+module.exports = router;
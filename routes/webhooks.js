@@ -0,0 +1,351 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const { auth } = require('../middleware/auth');
+const Account = require('../models/account');
+const Webhook = require('../models/webhook');
+const WebhookDelivery = require('../models/webhookDelivery');
+const webhooks = require('../services/webhooks');
+const audit = require('../services/audit');
+const HttpError = require('../utils/httpError');
+const { paginate } = require('../utils/pagination');
+const { hasPermission } = require('../utils/roles');
+
+// Plain http endpoints are only accepted outside production
+const URL_OPTIONS = {
+  protocols: process.env.NODE_ENV === 'production' ? ['https'] : ['http', 'https'],
+  require_protocol: true,
+  require_tld: process.env.NODE_ENV === 'production'
+};
+
+const urlValidator = (field) => body(field)
+  .trim()
+  .isURL(URL_OPTIONS)
+  .bail()
+  .custom(webhooks.isAllowedUrl)
+  .withMessage('url must use a public hostname, not an IP address or local name');
+
+const eventsValidator = (field) => body(field)
+  .isArray({ min: 1 })
+  .custom(events => events.every(event => webhooks.EVENTS.includes(event)))
+  .withMessage(`events must be a list of: ${webhooks.EVENTS.join(', ')}`);
+
+const canManageAll = (user) => hasPermission(user.roles, 'webhooks:manage');
+
+// Staff with webhooks:manage see every webhook, customers only their own
+const ownerFilter = (req) => (canManageAll(req.user) ? {} : { owner: req.user._id });
+
+const findWebhook = async (req) => {
+  const webhook = await Webhook.findOne({ _id: req.params.id, ...ownerFilter(req) });
+
+  if (!webhook) {
+    throw new HttpError(404, 'Webhook not found');
+  }
+
+  return webhook;
+};
+
+// List webhooks
+router.get('/', auth, async (req, res) => {
+  try {
+    const list = await paginate(Webhook, ownerFilter(req), req.query, {
+      sortFields: ['createdAt', 'url']
+    });
+
+    res.json({
+      success: true,
+      data: list
+    });
+
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching webhooks'
+    });
+  }
+});
+
+// Register a webhook. Business customers get events for their own
+// accounts; staff with webhooks:manage can use scope 'all'.
+// The signing secret is only returned here and on rotation.
+router.post('/', auth, [
+  urlValidator('url'),
+  eventsValidator('events'),
+  body('scope').optional().isIn(['own', 'all']),
+  body('description').optional().trim().isLength({ max: 200 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const scope = req.body.scope || 'own';
+
+    if (scope === 'all' && !canManageAll(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Insufficient permissions'
+      });
+    }
+
+    if (scope === 'own') {
+      const isBusiness = await Account.exists({
+        customer: req.user._id,
+        accountType: 'business',
+        status: 'active'
+      });
+
+      if (!isBusiness) {
+        return res.status(403).json({
+          success: false,
+          message: 'Webhooks are available to business account holders'
+        });
+      }
+    }
+
+    const secret = webhooks.generateSecret();
+    const webhook = await Webhook.create({
+      owner: req.user._id,
+      url: req.body.url,
+      events: [...new Set(req.body.events)],
+      scope,
+      secret,
+      description: req.body.description
+    });
+
+    await audit.record({
+      actor: req.user._id,
+      action: 'webhook.create',
+      target: { type: 'webhook', id: webhook._id },
+      metadata: { url: webhook.url, events: webhook.events, scope },
+      req
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Webhook registered. Store the secret now, it will not be shown again.',
+      data: { ...webhook.toJSON(), secret }
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error registering webhook'
+    });
+  }
+});
+
+// Change the URL, events or description, or pause/resume a webhook
+router.put('/:id', auth, [
+  urlValidator('url').optional(),
+  eventsValidator('events').optional(),
+  body('active').optional().isBoolean().toBoolean(),
+  body('description').optional().trim().isLength({ max: 200 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const webhook = await findWebhook(req);
+    const before = webhook.toObject();
+
+    if (req.body.url !== undefined) webhook.url = req.body.url;
+    if (req.body.events !== undefined) webhook.events = [...new Set(req.body.events)];
+    if (req.body.active !== undefined) webhook.active = req.body.active;
+    if (req.body.description !== undefined) webhook.description = req.body.description;
+    await webhook.save();
+
+    await audit.record({
+      actor: req.user._id,
+      action: 'webhook.update',
+      target: { type: 'webhook', id: webhook._id },
+      before: { url: before.url, events: before.events, active: before.active },
+      after: { url: webhook.url, events: webhook.events, active: webhook.active },
+      req
+    });
+
+    res.json({
+      success: true,
+      message: 'Webhook updated',
+      data: webhook
+    });
+
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating webhook'
+    });
+  }
+});
+
+// Replace the signing secret
+router.post('/:id/rotate-secret', auth, async (req, res) => {
+  try {
+    const webhook = await findWebhook(req);
+    const secret = webhooks.generateSecret();
+
+    webhook.secret = secret;
+    await webhook.save();
+
+    await audit.record({
+      actor: req.user._id,
+      action: 'webhook.rotate_secret',
+      target: { type: 'webhook', id: webhook._id },
+      req
+    });
+
+    res.json({
+      success: true,
+      message: 'Secret rotated. Deliveries are signed with the new secret from now on.',
+      data: { ...webhook.toJSON(), secret }
+    });
+
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error rotating webhook secret'
+    });
+  }
+});
+
+// Remove a webhook. Its delivery log is kept.
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const webhook = await findWebhook(req);
+    await webhook.deleteOne();
+
+    await audit.record({
+      actor: req.user._id,
+      action: 'webhook.delete',
+      target: { type: 'webhook', id: webhook._id },
+      metadata: { url: webhook.url },
+      req
+    });
+
+    res.json({
+      success: true,
+      message: 'Webhook deleted'
+    });
+
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error deleting webhook'
+    });
+  }
+});
+
+// Delivery log, newest first (?status&event)
+router.get('/:id/deliveries', auth, async (req, res) => {
+  try {
+    const webhook = await findWebhook(req);
+
+    const query = { webhook: webhook._id };
+    if (req.query.status) query.status = req.query.status;
+    if (req.query.event) query.event = req.query.event;
+
+    const deliveries = await paginate(WebhookDelivery, query, req.query, {
+      sortFields: ['createdAt', 'nextAttemptAt'],
+      defaultSort: { createdAt: -1 },
+      select: '-lockedUntil'
+    });
+
+    res.json({
+      success: true,
+      data: deliveries
+    });
+
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching deliveries'
+    });
+  }
+});
+
+// Send a delivery again now
+router.post('/:id/deliveries/:deliveryId/redeliver', auth, async (req, res) => {
+  try {
+    const webhook = await findWebhook(req);
+    const delivery = await webhooks.redeliver(req.params.deliveryId, webhook._id, req.user._id);
+
+    await audit.record({
+      actor: req.user._id,
+      action: 'webhook.redeliver',
+      target: { type: 'webhook', id: webhook._id },
+      metadata: {
+        eventId: delivery.eventId,
+        redeliveryOf: delivery.redeliveryOf,
+        status: delivery.status
+      },
+      req
+    });
+
+    res.json({
+      success: true,
+      message: delivery.status === 'succeeded'
+        ? 'Delivery succeeded'
+        : `Delivery failed (${delivery.lastError}); it will be retried`,
+      data: delivery
+    });
+
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error redelivering webhook'
+    });
+  }
+});
+
+module.exports = router;
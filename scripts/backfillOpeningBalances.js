@@ -0,0 +1,63 @@
+// Backfill an opening-balance ledger entry for accounts whose balance
+// predates the ledger, so they reconcile and statements open correctly.
+// Usage: npm run migrate:opening-balances
+// The entry holds whatever part of the balance the ledger does not
+// explain and is dated just before the account's first entry. Accounts
+// that already have one are skipped, so it is safe to run more than once.
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Account = require('../models/account');
+const LedgerEntry = require('../models/ledgerEntry');
+
+const OPENING_DESCRIPTION = 'Opening balance';
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const cursor = Account.find({}, 'accountNumber currency balance createdAt').lean().cursor();
+  let backfilled = 0;
+
+  for await (const account of cursor) {
+    const hasOpening = await LedgerEntry.exists({
+      account: account._id,
+      transaction: null,
+      description: OPENING_DESCRIPTION
+    });
+    if (hasOpening) continue;
+
+    const [totals] = await LedgerEntry.aggregate([
+      { $match: { account: account._id } },
+      { $group: { _id: null, balance: { $sum: '$amount' } } }
+    ]);
+    const opening = account.balance - (totals ? totals.balance : 0);
+    if (opening === 0) continue;
+
+    // Sort before every existing entry so running balances stay in order
+    const first = await LedgerEntry.findOne({ account: account._id }).sort({ _id: 1 });
+    const openedAt = first
+      ? new Date(first._id.getTimestamp().getTime() - 1000)
+      : account.createdAt || new Date();
+
+    await LedgerEntry.create({
+      _id: mongoose.Types.ObjectId.createFromTime(Math.floor(openedAt.getTime() / 1000)),
+      account: account._id,
+      currency: account.currency,
+      amount: opening,
+      balanceAfter: opening,
+      description: OPENING_DESCRIPTION,
+      createdAt: openedAt
+    });
+
+    backfilled++;
+  }
+
+  console.log(`Posted opening balances for ${backfilled} account(s)`);
+
+  await mongoose.disconnect();
+};
+
+run().catch(err => {
+  console.error('Backfill failed:', err);
+  process.exit(1);
+});
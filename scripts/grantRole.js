@@ -0,0 +1,39 @@
+// Grant a staff role from the command line, e.g. to create the first
+// superadmin before anyone can use the admin API.
+// Usage: npm run grant-role -- <email> <role>
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const User = require('../models/user');
+const { ROLES } = require('../utils/roles');
+
+const run = async () => {
+  const [email, role] = process.argv.slice(2);
+
+  if (!email || !ROLES.includes(role)) {
+    console.error(`Usage: npm run grant-role -- <email> <${ROLES.join('|')}>`);
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const user = await User.findOneAndUpdate(
+    { email: email.toLowerCase() },
+    { $addToSet: { roles: role } },
+    { new: true }
+  );
+
+  if (!user) {
+    console.error(`No user with email ${email}`);
+  } else {
+    console.log(`${user.email} now has roles: ${user.roles.join(', ')}`);
+  }
+
+  await mongoose.disconnect();
+  process.exit(user ? 0 : 1);
+};
+
+run().catch(err => {
+  console.error('Grant role failed:', err);
+  process.exit(1);
+});
@@ -0,0 +1,63 @@
+// One-off migration from single-account users to the Account model.
+// Usage: node scripts/migrateAccounts.js
+// Each legacy user gets an Account holding their old accountNumber,
+// balance and accountType. The account reuses the user's _id so ledger
+// entries written before the split still point at the right account.
+// Safe to run more than once. Run migrate:opening-balances afterwards so
+// the carried-over balances appear in the ledger.
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Account = require('../models/account');
+const Transaction = require('../models/transaction');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const users = mongoose.connection.collection('users');
+  const legacyUsers = users.find({ accountNumber: { $exists: true } });
+
+  let migrated = 0;
+
+  for await (const user of legacyUsers) {
+    const exists = await Account.exists({ _id: user._id });
+
+    if (!exists) {
+      await Account.create({
+        _id: user._id,
+        customer: user._id,
+        accountNumber: user.accountNumber,
+        accountType: user.accountType || 'checking',
+        balance: user.balance || 0,
+        status: user.status || 'active'
+      });
+    }
+
+    await Transaction.updateMany(
+      { userId: user._id, accountId: { $exists: false } },
+      { accountId: user._id }
+    );
+
+    await users.updateOne(
+      { _id: user._id },
+      { $unset: { accountNumber: '', balance: '', accountType: '' } }
+    );
+
+    migrated++;
+  }
+
+  // The unique index on users.accountNumber is no longer needed
+  const indexes = await users.indexes();
+  if (indexes.some(index => index.name === 'accountNumber_1')) {
+    await users.dropIndex('accountNumber_1');
+  }
+
+  console.log(`Migrated ${migrated} user(s) to accounts`);
+
+  await mongoose.disconnect();
+};
+
+run().catch(err => {
+  console.error('Migration failed:', err);
+  process.exit(1);
+});
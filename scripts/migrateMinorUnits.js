@@ -0,0 +1,57 @@
+// One-off migration of stored amounts from decimal dollars to integer
+// cents. Data written before multi-currency support is all USD.
+// Usage: node scripts/migrateMinorUnits.js
+// Records itself in the migrations collection so it only ever runs once.
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const MIGRATION = 'minor-units';
+
+const FIELDS = {
+  accounts: ['balance'],
+  transactions: ['amount', 'netAmount', 'fees'],
+  ledgerentries: ['amount', 'balanceAfter'],
+  standingorders: ['amount']
+};
+
+const toCents = (field) => ({
+  [field]: {
+    $cond: [
+      { $isNumber: `$${field}` },
+      { $round: [{ $multiply: [`$${field}`, 100] }, 0] },
+      `$${field}`
+    ]
+  }
+});
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const db = mongoose.connection.db;
+  const migrations = db.collection('migrations');
+
+  if (await migrations.findOne({ name: MIGRATION })) {
+    console.log('Amounts are already in minor units');
+    return mongoose.disconnect();
+  }
+
+  for (const [collection, fields] of Object.entries(FIELDS)) {
+    const update = fields.reduce((set, field) => ({ ...set, ...toCents(field) }), {});
+    const result = await db.collection(collection).updateMany({}, [{ $set: update }]);
+    console.log(`${collection}: converted ${result.modifiedCount} document(s)`);
+  }
+
+  await db.collection('transactions').updateMany(
+    { currency: { $exists: false } },
+    { $set: { currency: 'USD' } }
+  );
+
+  await migrations.insertOne({ name: MIGRATION, ranAt: new Date() });
+
+  await mongoose.disconnect();
+};
+
+run().catch(err => {
+  console.error('Migration failed:', err);
+  process.exit(1);
+});
@@ -0,0 +1,36 @@
+// Recompute every balance from the ledger and report mismatches.
+// Usage: npm run reconcile
+// Exits with status 1 when any account does not reconcile.
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const { reconcileBalances } = require('../services/reconciliation');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const report = await reconcileBalances();
+
+  console.log(`Checked ${report.accountsChecked} accounts at ${report.checkedAt.toISOString()}`);
+
+  if (report.balanced) {
+    console.log('All balances reconcile with the ledger');
+  } else {
+    console.log(`${report.mismatchCount} account(s) do not reconcile:`);
+    console.table(report.mismatches.map(m => ({
+      accountNumber: m.accountNumber,
+      balance: m.balance,
+      ledgerBalance: m.ledgerBalance,
+      lastRunningBalance: m.lastRunningBalance,
+      difference: m.difference
+    })));
+  }
+
+  await mongoose.disconnect();
+  process.exit(report.balanced ? 0 : 1);
+};
+
+run().catch(err => {
+  console.error('Reconciliation failed:', err);
+  process.exit(1);
+});
@@ -0,0 +1,30 @@
+// Walk the audit log hash chain and report tampering.
+// Usage: npm run audit:verify
+// Exits with status 1 when the chain does not verify.
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const { verifyChain } = require('../services/audit');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const report = await verifyChain();
+
+  console.log(`Checked ${report.eventsChecked} audit events at ${report.checkedAt.toISOString()}`);
+
+  if (report.valid) {
+    console.log(`Audit chain is intact (last sequence ${report.lastSequence}, hash ${report.lastHash})`);
+  } else {
+    console.log(`${report.problems.length} problem(s) found:`);
+    console.table(report.problems);
+  }
+
+  await mongoose.disconnect();
+  process.exit(report.valid ? 0 : 1);
+};
+
+run().catch(err => {
+  console.error('Audit verification failed:', err);
+  process.exit(1);
+});
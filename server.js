@@ -9,8 +9,17 @@ require('dotenv').config();
 // Import routes
 const authRoutes = require('./routes/auth');
 const accountRoutes = require('./routes/account');
+const accountsRoutes = require('./routes/accounts');
 const transactionRoutes = require('./routes/transactions');
 const adminRoutes = require('./routes/admin');
+const standingOrderRoutes = require('./routes/standingOrders');
+const payeeRoutes = require('./routes/payees');
+const webhookRoutes = require('./routes/webhooks');
+const eventRoutes = require('./routes/events');
+const analyticsRoutes = require('./routes/analytics');
+const budgetRoutes = require('./routes/budgets');
+const savingsGoalRoutes = require('./routes/savingsGoals');
+const { startScheduler } = require('./services/scheduler');
 
 const app = express();
 
@@ -32,22 +41,39 @@ app.use('/api/', limiter);
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// Logging
-app.use(morgan('dev'));
+// Logging. Paths only: query strings can carry tokens.
+morgan.token('path', (req) => (req.originalUrl || req.url).split('?')[0]);
+app.use(morgan(':method :path :status :response-time ms - :res[content-length]'));
 
 // Database connection
 mongoose.connect(process.env.MONGODB_URI, {
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-.then(() => console.log('MongoDB connected successfully'))
+.then(() => {
+  console.log('MongoDB connected successfully');
+
+  // Execute scheduled and recurring transfers
+  if (process.env.SCHEDULER_ENABLED !== 'false') {
+    startScheduler();
+  }
+})
 .catch(err => console.error('MongoDB connection error:', err));
 
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/account', accountRoutes);
+// Budgets and savings goals live under the customer's own account routes
+app.use('/api/account', budgetRoutes);
+app.use('/api/account', savingsGoalRoutes);
+app.use('/api/accounts', accountsRoutes);
 app.use('/api/transactions', transactionRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/standing-orders', standingOrderRoutes);
+app.use('/api/payees', payeeRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/events', eventRoutes);
+app.use('/api/analytics', analyticsRoutes);
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -0,0 +1,210 @@
+const Transaction = require('../models/transaction');
+
+// Spending analytics over a customer's completed transactions. Money in
+// is the net amount credited, money out the full amount debited (fees
+// included). Moves between the customer's own accounts are left out, and
+// amounts are never mixed across currencies: every result carries its
+// currency. All amounts are in minor units.
+
+const GRANULARITIES = ['day', 'week', 'month'];
+
+// Shared first stages: the customer's completed transactions in
+// [start, end), with the fields the reports group on
+const baseStages = ({ customerId, accountId, start, end }) => [
+  {
+    $match: {
+      userId: customerId,
+      status: 'completed',
+      ...(accountId && { accountId }),
+      $or: [
+        { completedAt: { $gte: start, $lt: end } },
+        { completedAt: null, createdAt: { $gte: start, $lt: end } }
+      ],
+      $nor: [{ 'sender.userId': customerId, 'receiver.userId': customerId }]
+    }
+  },
+  {
+    $addFields: {
+      bookedAt: { $ifNull: ['$completedAt', '$createdAt'] },
+      isIncome: { $eq: ['$type', 'credit'] },
+      value: {
+        $cond: [{ $eq: ['$type', 'credit'] }, { $ifNull: ['$netAmount', '$amount'] }, '$amount']
+      },
+      spendCategory: { $ifNull: ['$spendingCategory', '$category'] },
+      counterparty: { $cond: [{ $eq: ['$type', 'credit'] }, '$sender', '$receiver'] }
+    }
+  }
+];
+
+const periodStart = (granularity) => ({
+  $dateTrunc: {
+    date: '$bookedAt',
+    unit: granularity,
+    timezone: 'UTC',
+    ...(granularity === 'week' && { startOfWeek: 'monday' })
+  }
+});
+
+// Money out per category, largest first, with each category's share of
+// the currency's total
+const spendingByCategory = async (scope) => Transaction.aggregate([
+  ...baseStages(scope),
+  { $match: { isIncome: false } },
+  {
+    $group: {
+      _id: { category: '$spendCategory', currency: '$currency' },
+      total: { $sum: '$value' },
+      count: { $sum: 1 }
+    }
+  },
+  {
+    $setWindowFields: {
+      partitionBy: '$_id.currency',
+      output: { currencyTotal: { $sum: '$total' } }
+    }
+  },
+  {
+    $project: {
+      _id: 0,
+      category: '$_id.category',
+      currency: '$_id.currency',
+      total: 1,
+      count: 1,
+      share: {
+        $cond: [
+          { $gt: ['$currencyTotal', 0] },
+          { $round: [{ $divide: ['$total', '$currencyTotal'] }, 4] },
+          0
+        ]
+      }
+    }
+  },
+  { $sort: { currency: 1, total: -1 } }
+]);
+
+// Income, expenses and net per period
+const cashflow = async (scope, granularity) => Transaction.aggregate([
+  ...baseStages(scope),
+  {
+    $group: {
+      _id: { period: periodStart(granularity), currency: '$currency' },
+      income: { $sum: { $cond: ['$isIncome', '$value', 0] } },
+      expenses: { $sum: { $cond: ['$isIncome', 0, '$value'] } },
+      count: { $sum: 1 }
+    }
+  },
+  {
+    $project: {
+      _id: 0,
+      period: '$_id.period',
+      currency: '$_id.currency',
+      income: 1,
+      expenses: 1,
+      net: { $subtract: ['$income', '$expenses'] },
+      count: 1
+    }
+  },
+  { $sort: { currency: 1, period: 1 } }
+]);
+
+// Spending per category per period, with the change from the previous
+// period (month over month by default). Periods without spending in a
+// category are left out.
+const trends = async (scope, granularity) => Transaction.aggregate([
+  ...baseStages(scope),
+  { $match: { isIncome: false } },
+  {
+    $group: {
+      _id: {
+        category: '$spendCategory',
+        currency: '$currency',
+        period: periodStart(granularity)
+      },
+      total: { $sum: '$value' }
+    }
+  },
+  {
+    $setWindowFields: {
+      partitionBy: { category: '$_id.category', currency: '$_id.currency' },
+      sortBy: { '_id.period': 1 },
+      output: {
+        previous: { $shift: { output: '$total', by: -1, default: null } }
+      }
+    }
+  },
+  // So periods are pushed in order below
+  { $sort: { '_id.period': 1 } },
+  {
+    $group: {
+      _id: { category: '$_id.category', currency: '$_id.currency' },
+      total: { $sum: '$total' },
+      periods: {
+        $push: {
+          period: '$_id.period',
+          total: '$total',
+          change: {
+            $cond: [{ $eq: ['$previous', null] }, null, { $subtract: ['$total', '$previous'] }]
+          },
+          changeRatio: {
+            $cond: [
+              { $gt: ['$previous', 0] },
+              { $round: [{ $divide: [{ $subtract: ['$total', '$previous'] }, '$previous'] }, 4] },
+              null
+            ]
+          }
+        }
+      }
+    }
+  },
+  {
+    $project: {
+      _id: 0,
+      category: '$_id.category',
+      currency: '$_id.currency',
+      total: 1,
+      periods: 1
+    }
+  },
+  { $sort: { currency: 1, total: -1 } }
+]);
+
+// Who the customer pays (direction 'out') or is paid by ('in') the most
+const topCounterparties = async (scope, { direction = 'out', limit = 10 } = {}) => Transaction.aggregate([
+  ...baseStages(scope),
+  { $match: { isIncome: direction === 'in' } },
+  // So the latest name is kept below
+  { $sort: { bookedAt: 1 } },
+  {
+    $group: {
+      _id: {
+        accountNumber: '$counterparty.accountNumber',
+        currency: '$currency'
+      },
+      name: { $last: '$counterparty.name' },
+      total: { $sum: '$value' },
+      count: { $sum: 1 },
+      lastAt: { $max: '$bookedAt' }
+    }
+  },
+  { $sort: { total: -1 } },
+  { $limit: limit },
+  {
+    $project: {
+      _id: 0,
+      name: 1,
+      accountNumber: '$_id.accountNumber',
+      currency: '$_id.currency',
+      total: 1,
+      count: 1,
+      lastAt: 1
+    }
+  }
+]);
+
+module.exports = {
+  GRANULARITIES,
+  spendingByCategory,
+  cashflow,
+  trends,
+  topCounterparties
+};
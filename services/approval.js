@@ -0,0 +1,283 @@
+const mongoose = require('mongoose');
+const User = require('../models/user');
+const Account = require('../models/account');
+const Transaction = require('../models/transaction');
+const HttpError = require('../utils/httpError');
+const ledger = require('./ledger');
+const notifications = require('./notifications');
+const webhooks = require('./webhooks');
+const realtime = require('./realtime');
+const budgets = require('./budgets');
+const savings = require('./savings');
+
+// Move the money for a pending transaction that has been approved.
+// Runs inside the caller's MongoDB session. Resolves to the amount
+// credited to the recipient of a transfer.
+const settle = async (transaction, session) => {
+  if (!transaction.accountId) {
+    throw new HttpError(400, 'Transaction is not linked to an account');
+  }
+
+  // Incoming funds
+  if (transaction.type === 'credit') {
+    const account = await ledger.post({
+      accountId: transaction.accountId,
+      amount: transaction.netAmount,
+      transaction: transaction._id,
+      description: transaction.description,
+      session
+    });
+
+    if (!account) {
+      throw new HttpError(400, 'Account not found');
+    }
+    return;
+  }
+
+  // Outgoing funds ('transfer' is the legacy type for outgoing transfers)
+  const source = await ledger.post({
+    accountId: transaction.accountId,
+    amount: -transaction.amount,
+    transaction: transaction._id,
+    description: transaction.description,
+    session,
+    requireFunds: true
+  });
+
+  if (!source) {
+    throw new HttpError(400, 'Insufficient funds');
+  }
+
+  if (transaction.category !== 'transfer') return;
+
+  const destination = await Account.findOne({
+    accountNumber: transaction.receiver.accountNumber
+  }).session(session);
+
+  if (!destination || destination.status !== 'active') {
+    throw new HttpError(400, 'Recipient account is not active');
+  }
+
+  const recipient = await User.findById(destination.customer).session(session);
+  const creditAmount = transaction.fx && transaction.fx.targetAmount
+    ? transaction.fx.targetAmount
+    : transaction.netAmount;
+  const creditId = new mongoose.Types.ObjectId();
+
+  await ledger.post({
+    accountId: destination._id,
+    amount: creditAmount,
+    transaction: creditId,
+    description: `Transfer from ${transaction.sender.accountNumber}`,
+    session
+  });
+
+  await Transaction.create([{
+    _id: creditId,
+    userId: destination.customer,
+    accountId: destination._id,
+    transactionId: Transaction.generateTransactionId(),
+    type: 'credit',
+    amount: creditAmount,
+    currency: destination.currency,
+    netAmount: creditAmount,
+    fees: 0,
+    fx: transaction.fx,
+    description: `Transfer from ${transaction.sender.name} (${transaction.sender.accountNumber})`,
+    status: 'completed',
+    category: 'transfer',
+    sender: transaction.sender,
+    receiver: {
+      userId: destination.customer,
+      accountId: destination._id,
+      name: recipient ? recipient.name : transaction.receiver.name,
+      accountNumber: destination.accountNumber
+    },
+    linkedTransaction: transaction._id,
+    savingsGoal: transaction.savingsGoal,
+    completedAt: new Date()
+  }], { session });
+
+  transaction.type = 'debit';
+  transaction.linkedTransaction = creditId;
+  return creditAmount;
+};
+
+const loadPending = async (transactionId) => {
+  const transaction = await Transaction.findById(transactionId);
+
+  if (!transaction) {
+    throw new HttpError(404, 'Transaction not found');
+  }
+
+  if (transaction.status !== 'pending') {
+    throw new HttpError(400, 'Only pending transactions can be updated');
+  }
+
+  return transaction;
+};
+
+// Maker step: record the intended final status
+const propose = async ({ transactionId, actor, status, reason }) => {
+  const now = new Date();
+
+  const transaction = await Transaction.findOneAndUpdate(
+    {
+      _id: transactionId,
+      status: 'pending',
+      'approval.proposedStatus': null
+    },
+    {
+      $set: {
+        'approval.proposedStatus': status,
+        'approval.proposedBy': actor,
+        'approval.proposedAt': now,
+        'approval.reason': reason
+      },
+      $push: {
+        'approval.history': { actor, action: 'proposed', status, reason, at: now }
+      }
+    },
+    { new: true }
+  );
+
+  if (!transaction) {
+    await loadPending(transactionId);
+    throw new HttpError(409, 'A decision has already been proposed for this transaction');
+  }
+
+  realtime.approvalQueueChanged(transaction, 'proposed');
+  return transaction;
+};
+
+// Checker step: a different operator confirms the proposal, and on
+// approval the balances move in the same MongoDB transaction
+const confirm = async ({ transactionId, actor, status, reason }) => {
+  const session = await mongoose.startSession();
+  let result;
+
+  try {
+    await session.withTransaction(async () => {
+      const transaction = await Transaction.findOne({
+        _id: transactionId,
+        status: 'pending'
+      }).session(session);
+
+      if (!transaction) {
+        throw new HttpError(404, 'Pending transaction not found');
+      }
+
+      const { proposedStatus, proposedBy } = transaction.approval || {};
+
+      if (!proposedStatus) {
+        throw new HttpError(409, 'No decision has been proposed for this transaction');
+      }
+
+      if (proposedBy.equals(actor)) {
+        throw new HttpError(403, 'A different operator must confirm this decision');
+      }
+
+      if (status && status !== proposedStatus) {
+        throw new HttpError(409, `Proposed status is ${proposedStatus}. Decline the proposal to change it.`);
+      }
+
+      if (proposedStatus === 'completed') {
+        const creditAmount = await settle(transaction, session);
+        transaction.completedAt = new Date();
+
+        if (transaction.savingsGoal && creditAmount) {
+          await savings.settleHeldSweep(transaction, creditAmount, session);
+        }
+      }
+
+      transaction.status = proposedStatus;
+      transaction.approval.history.push({
+        actor,
+        action: 'confirmed',
+        status: proposedStatus,
+        reason
+      });
+
+      await transaction.save({ session });
+      result = transaction;
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  notifications.notifyTransaction(result);
+  webhooks.transactionUpdated(result);
+  realtime.transactionChanged(result);
+  realtime.approvalQueueChanged(result, 'removed');
+  if (result.status === 'completed' && result.type !== 'credit') {
+    budgets.checkBudgets(result.userId, result);
+  }
+
+  // The credit to the recipient is created by settle()
+  if (result.status === 'completed' && result.linkedTransaction) {
+    const credit = await Transaction.findById(result.linkedTransaction);
+    notifications.notifyTransaction(credit);
+    webhooks.transactionCreated(credit);
+    realtime.transactionChanged(credit);
+  }
+
+  return result;
+};
+
+// Checker rejects the proposal; the transaction stays pending
+const decline = async ({ transactionId, actor, reason }) => {
+  const now = new Date();
+
+  const transaction = await Transaction.findOneAndUpdate(
+    {
+      _id: transactionId,
+      status: 'pending',
+      'approval.proposedStatus': { $ne: null }
+    },
+    {
+      $unset: {
+        'approval.proposedStatus': 1,
+        'approval.proposedBy': 1,
+        'approval.proposedAt': 1,
+        'approval.reason': 1
+      },
+      $push: {
+        'approval.history': { actor, action: 'declined', reason, at: now }
+      }
+    },
+    { new: true }
+  );
+
+  if (!transaction) {
+    await loadPending(transactionId);
+    throw new HttpError(409, 'There is no proposal to decline');
+  }
+
+  realtime.approvalQueueChanged(transaction, 'declined');
+  return transaction;
+};
+
+// Single entry point for status changes: proposes when nothing is
+// proposed yet, otherwise confirms
+const decide = async ({ transactionId, actor, status, reason }) => {
+  const transaction = await loadPending(transactionId);
+
+  if (transaction.approval && transaction.approval.proposedStatus) {
+    return {
+      stage: 'confirmed',
+      transaction: await confirm({ transactionId, actor, status, reason })
+    };
+  }
+
+  return {
+    stage: 'proposed',
+    transaction: await propose({ transactionId, actor, status, reason })
+  };
+};
+
+module.exports = {
+  propose,
+  confirm,
+  decline,
+  decide
+};
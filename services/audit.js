@@ -0,0 +1,173 @@
+const crypto = require('crypto');
+const AuditEvent = require('../models/auditEvent');
+const { stableStringify } = require('../utils/stableStringify');
+
+// prevHash of the first event in the chain
+const GENESIS_HASH = '0'.repeat(64);
+const MAX_APPEND_ATTEMPTS = 5;
+const MAX_REPORTED_PROBLEMS = 100;
+
+// Never copied into the log, only noted as changed
+const REDACTED_FIELDS = [
+  'password',
+  'ssn',
+  'twoFactor',
+  'phoneVerification',
+  'passwordReset',
+  'refreshTokenHash'
+];
+
+// ObjectIds and dates become strings, undefined becomes null
+const toPlain = (value) => (
+  value === undefined || value === null ? null : JSON.parse(JSON.stringify(value))
+);
+
+// Field-level before/after diff: { field: { from, to } }
+const diff = (before, after) => {
+  const from = toPlain(before) || {};
+  const to = toPlain(after) || {};
+  const changes = {};
+
+  for (const key of new Set([...Object.keys(from), ...Object.keys(to)])) {
+    if (stableStringify(from[key]) === stableStringify(to[key])) continue;
+
+    changes[key] = REDACTED_FIELDS.includes(key)
+      ? { from: '[redacted]', to: '[redacted]' }
+      : { from: toPlain(from[key]), to: toPlain(to[key]) };
+  }
+
+  return changes;
+};
+
+// Everything except the hash itself goes into the hash
+const hashEvent = (event) => crypto
+  .createHash('sha256')
+  .update(stableStringify({
+    sequence: event.sequence,
+    actor: toPlain(event.actor),
+    action: event.action,
+    target: {
+      type: (event.target && event.target.type) || null,
+      id: (event.target && event.target.id) || null
+    },
+    outcome: event.outcome,
+    changes: toPlain(event.changes),
+    metadata: toPlain(event.metadata),
+    ipAddress: event.ipAddress || null,
+    userAgent: event.userAgent || null,
+    createdAt: new Date(event.createdAt).toISOString(),
+    prevHash: event.prevHash
+  }))
+  .digest('hex');
+
+// Append an event to the chain. Auditing must never break the action being
+// audited, so failures are logged rather than thrown.
+//   actor   user id performing the action (null for anonymous)
+//   action  dotted name, e.g. 'auth.login', 'transaction.transfer'
+//   target  { type, id } of the thing acted on
+//   before/after  snapshots to diff, or pass `changes` directly
+const record = async ({
+  actor,
+  action,
+  target,
+  outcome = 'success',
+  before,
+  after,
+  changes,
+  metadata,
+  req
+}) => {
+  try {
+    for (let attempt = 0; attempt < MAX_APPEND_ATTEMPTS; attempt++) {
+      const last = await AuditEvent.findOne().sort({ sequence: -1 }).select('sequence hash');
+
+      const event = {
+        sequence: last ? last.sequence + 1 : 1,
+        actor: actor ? String(actor) : null,
+        action,
+        target: {
+          type: (target && target.type) || null,
+          id: target && target.id ? String(target.id) : null
+        },
+        outcome,
+        changes: changes || (before || after ? diff(before, after) : null),
+        metadata: toPlain(metadata),
+        ipAddress: req ? req.ip : null,
+        userAgent: req ? req.get('User-Agent') || null : null,
+        createdAt: new Date(),
+        prevHash: last ? last.hash : GENESIS_HASH
+      };
+      event.changes = toPlain(event.changes);
+      event.hash = hashEvent(event);
+
+      try {
+        return await AuditEvent.create(event);
+      } catch (error) {
+        // Another event took this sequence number; retry on the new tip
+        if (error.code !== 11000) throw error;
+      }
+    }
+
+    throw new Error('Could not append audit event after repeated conflicts');
+  } catch (error) {
+    console.error(`Audit log error (${action}):`, error);
+    return null;
+  }
+};
+
+// Walk the whole chain in order. Reports missing sequence numbers
+// (deleted events), events whose prevHash does not match their
+// predecessor, and events whose content no longer matches their hash.
+// lastSequence/lastHash can be stored elsewhere to detect truncation.
+const verifyChain = async () => {
+  const problems = [];
+  let eventsChecked = 0;
+  let expectedSequence = 1;
+  let expectedPrevHash = GENESIS_HASH;
+  let lastHash = null;
+
+  const report = (problem) => {
+    if (problems.length < MAX_REPORTED_PROBLEMS) problems.push(problem);
+  };
+
+  const cursor = AuditEvent.find().sort({ sequence: 1 }).lean().cursor();
+
+  for await (const event of cursor) {
+    eventsChecked += 1;
+
+    if (event.sequence !== expectedSequence) {
+      report({
+        sequence: event.sequence,
+        problem: 'missing_events',
+        expectedSequence
+      });
+    }
+
+    if (event.prevHash !== expectedPrevHash) {
+      report({ sequence: event.sequence, problem: 'broken_link' });
+    }
+
+    if (hashEvent(event) !== event.hash) {
+      report({ sequence: event.sequence, problem: 'hash_mismatch' });
+    }
+
+    expectedSequence = event.sequence + 1;
+    expectedPrevHash = event.hash;
+    lastHash = event.hash;
+  }
+
+  return {
+    checkedAt: new Date(),
+    eventsChecked,
+    valid: problems.length === 0,
+    lastSequence: expectedSequence - 1,
+    lastHash,
+    problems
+  };
+};
+
+module.exports = {
+  record,
+  diff,
+  verifyChain
+};
@@ -0,0 +1,89 @@
+const Budget = require('../models/budget');
+const analytics = require('./analytics');
+const categorization = require('./categorization');
+const notifications = require('./notifications');
+
+// Alerts are sent when spending reaches these percentages of a budget
+const ALERT_LEVELS = [100, 80];
+
+// Calendar month containing `date`, in UTC
+const monthPeriod = (date = new Date()) => ({
+  start: new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1)),
+  end: new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1))
+});
+
+// Budgets against spending as already categorized
+const progressFor = async (customerId, date) => {
+  const period = monthPeriod(date);
+  const budgets = await Budget.find({ customer: customerId }).sort({ category: 1 });
+  const spending = await analytics.spendingByCategory({ customerId, ...period });
+
+  return budgets.map(budget => {
+    const row = spending.find(s => s.category === budget.category && s.currency === budget.currency);
+    const spent = row ? row.total : 0;
+    const ratio = Math.round((spent / budget.amount) * 10000) / 10000;
+
+    return {
+      ...budget.toJSON(),
+      period,
+      spent,
+      remaining: Math.max(budget.amount - spent, 0),
+      ratio,
+      state: ratio >= 1 ? 'exceeded' : ratio >= 0.8 ? 'warning' : 'ok'
+    };
+  });
+};
+
+// Every budget of a customer with what has been spent against it in the
+// month containing `date`. Spending is what the analytics report for the
+// category: completed debits, excluding moves between own accounts.
+const getProgress = async (customerId, date = new Date()) => {
+  await categorization.applyRules(customerId);
+  return progressFor(customerId, date);
+};
+
+// Send the 80% and 100% alerts a customer's spending has reached this
+// month. Each level is claimed on the budget first, so it is announced
+// once per month even with several servers. Never throws.
+// After a payment only `transaction` is categorized; without one every
+// uncategorized transaction is.
+const checkBudgets = async (customerId, transaction) => {
+  try {
+    const now = new Date();
+    const { start } = monthPeriod(now);
+
+    if (transaction) {
+      await categorization.categorizeTransaction(transaction);
+    } else {
+      await categorization.applyRules(customerId);
+    }
+
+    for (const item of await progressFor(customerId, now)) {
+      const level = ALERT_LEVELS.find(l => item.spent * 100 >= item.amount * l);
+      if (!level) continue;
+
+      const claimed = await Budget.findOneAndUpdate(
+        {
+          _id: item._id,
+          $or: [
+            { alertPeriod: { $ne: start } },
+            { alertLevel: { $lt: level } }
+          ]
+        },
+        { alertPeriod: start, alertLevel: level }
+      );
+
+      if (claimed) {
+        await notifications.notify(customerId, 'budgetAlert', { budget: item, level });
+      }
+    }
+  } catch (error) {
+    console.error('Budget check error:', error);
+  }
+};
+
+module.exports = {
+  monthPeriod,
+  getProgress,
+  checkBudgets
+};
@@ -0,0 +1,128 @@
+const CategoryRule = require('../models/categoryRule');
+const Transaction = require('../models/transaction');
+const HttpError = require('../utils/httpError');
+
+// Spending categories. Customers can use any name; these are suggested.
+const SUGGESTED_CATEGORIES = [
+  'groceries',
+  'dining',
+  'transport',
+  'housing',
+  'utilities',
+  'entertainment',
+  'shopping',
+  'health',
+  'travel',
+  'income',
+  'savings',
+  'other'
+];
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const rulePattern = (rule) => {
+  const source = escapeRegex(rule.pattern);
+  return new RegExp(rule.matchType === 'equals' ? `^${source}$` : source, 'i');
+};
+
+// Query matching the transactions a rule applies to
+const ruleFilter = (rule) => {
+  const pattern = rulePattern(rule);
+
+  if (rule.field === 'description') {
+    return { description: pattern };
+  }
+
+  // The counterparty is the sender of incoming money and the receiver of
+  // outgoing money, matched by name or exact account number
+  return {
+    $or: [
+      { type: 'credit', $or: [{ 'sender.name': pattern }, { 'sender.accountNumber': rule.pattern }] },
+      { type: { $ne: 'credit' }, $or: [{ 'receiver.name': pattern }, { 'receiver.accountNumber': rule.pattern }] }
+    ]
+  };
+};
+
+// Whether a rule applies to one transaction, the same way ruleFilter does
+const ruleMatches = (rule, transaction) => {
+  const pattern = rulePattern(rule);
+
+  if (rule.field === 'description') {
+    return pattern.test(transaction.description || '');
+  }
+
+  const party = transaction.type === 'credit' ? transaction.sender : transaction.receiver;
+  return Boolean(party) && (pattern.test(party.name || '') || party.accountNumber === rule.pattern);
+};
+
+// Categorize one transaction with the first rule that matches it,
+// leaving the customer's other transactions alone
+const categorizeTransaction = async (transaction) => {
+  if (transaction.categorySource) return;
+
+  const rules = await CategoryRule.find({ customer: transaction.userId }).sort({ priority: 1, createdAt: 1 });
+  const rule = rules.find(r => ruleMatches(r, transaction));
+  if (!rule) return;
+
+  await Transaction.updateOne(
+    { _id: transaction._id, categorySource: null },
+    { spendingCategory: rule.category, categorySource: 'rule', categoryRule: rule._id }
+  );
+};
+
+// Categorize the customer's transactions that have no category yet
+const applyRules = async (customerId) => {
+  const rules = await CategoryRule.find({ customer: customerId }).sort({ priority: 1, createdAt: 1 });
+
+  // In priority order; each rule only sees what earlier rules left
+  for (const rule of rules) {
+    await Transaction.updateMany(
+      { userId: customerId, categorySource: null, ...ruleFilter(rule) },
+      { spendingCategory: rule.category, categorySource: 'rule', categoryRule: rule._id }
+    );
+  }
+};
+
+// Start over after the rules changed. Categories set by hand are kept.
+const reapplyRules = async (customerId) => {
+  await Transaction.updateMany(
+    { userId: customerId, categorySource: 'rule' },
+    { $unset: { spendingCategory: 1, categorySource: 1, categoryRule: 1 } }
+  );
+
+  await applyRules(customerId);
+};
+
+// Set a transaction's category by hand, or with null hand it back to
+// the rules
+const setCategory = async (customerId, transactionId, category) => {
+  const transaction = await Transaction.findOne({ transactionId, userId: customerId });
+
+  if (!transaction) {
+    throw new HttpError(404, 'Transaction not found');
+  }
+
+  if (category) {
+    transaction.spendingCategory = category;
+    transaction.categorySource = 'user';
+    transaction.categoryRule = undefined;
+    await transaction.save();
+    return transaction;
+  }
+
+  transaction.spendingCategory = undefined;
+  transaction.categorySource = undefined;
+  transaction.categoryRule = undefined;
+  await transaction.save();
+
+  await applyRules(customerId);
+  return Transaction.findById(transaction._id);
+};
+
+module.exports = {
+  SUGGESTED_CATEGORIES,
+  applyRules,
+  reapplyRules,
+  categorizeTransaction,
+  setCategory
+};
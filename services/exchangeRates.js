@@ -0,0 +1,122 @@
+const fs = require('fs');
+const HttpError = require('../utils/httpError');
+const { getExponent } = require('../utils/money');
+
+// Sample mid-market rates against USD, used when no provider is configured
+const DEFAULT_RATES = {
+  base: 'USD',
+  rates: {
+    USD: 1,
+    EUR: 0.92,
+    GBP: 0.79,
+    CAD: 1.36,
+    AUD: 1.52,
+    CHF: 0.88,
+    NGN: 1550,
+    JPY: 149.5
+  }
+};
+
+// Provider from a { base, rates } table. Rates are units of each currency
+// per one unit of base, so any pair can be derived.
+const createStaticProvider = (table = DEFAULT_RATES) => ({
+  name: 'static',
+  async getRate(from, to) {
+    if (from === to) return 1;
+
+    const fromRate = table.rates[from];
+    const toRate = table.rates[to];
+
+    if (!fromRate || !toRate) {
+      throw new HttpError(400, `No exchange rate available for ${from}/${to}`);
+    }
+
+    return toRate / fromRate;
+  }
+});
+
+// Provider reading the same { base, rates } table from a JSON file. The
+// file is re-read when it changes so rates can be updated without restart.
+const createFileProvider = (filePath) => {
+  let mtime = 0;
+  let provider = null;
+
+  return {
+    name: 'file',
+    async getRate(from, to) {
+      const stat = await fs.promises.stat(filePath);
+
+      if (!provider || stat.mtimeMs !== mtime) {
+        const table = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+        provider = createStaticProvider(table);
+        mtime = stat.mtimeMs;
+      }
+
+      return provider.getRate(from, to);
+    }
+  };
+};
+
+const createDefaultProvider = () => {
+  if (process.env.FX_PROVIDER === 'file' && process.env.FX_RATES_FILE) {
+    return createFileProvider(process.env.FX_RATES_FILE);
+  }
+  return createStaticProvider();
+};
+
+let currentProvider = null;
+
+const getRateProvider = () => {
+  if (!currentProvider) currentProvider = createDefaultProvider();
+  return currentProvider;
+};
+
+// Swap the provider, e.g. for a live rates feed or in tests
+const setRateProvider = (provider) => {
+  currentProvider = provider;
+};
+
+// Spread charged on conversions, in basis points (default 0.5%)
+const getSpreadBps = () => {
+  const bps = parseInt(process.env.FX_SPREAD_BPS);
+  return isNaN(bps) ? 50 : bps;
+};
+
+// Convert minor units of one currency into minor units of another at the
+// mid-market rate, rounding to the nearest minor unit
+const convert = async (amount, from, to) => {
+  if (from === to) return { amount, rate: 1 };
+
+  const rate = await getRateProvider().getRate(from, to);
+  const scale = Math.pow(10, getExponent(to) - getExponent(from));
+
+  return {
+    amount: Math.round(amount * rate * scale),
+    rate
+  };
+};
+
+// Price a cross-currency transfer of `amount` minor units of `from`.
+// The spread fee is taken in the source currency before conversion.
+const quote = async (amount, from, to) => {
+  const spreadFee = Math.round(amount * getSpreadBps() / 10000);
+  const { amount: targetAmount, rate } = await convert(amount - spreadFee, from, to);
+
+  return {
+    rate,
+    sourceCurrency: from,
+    targetCurrency: to,
+    sourceAmount: amount,
+    targetAmount,
+    spreadFee
+  };
+};
+
+module.exports = {
+  createStaticProvider,
+  createFileProvider,
+  getRateProvider,
+  setRateProvider,
+  convert,
+  quote
+};
@@ -0,0 +1,286 @@
+const crypto = require('crypto');
+const User = require('../models/user');
+const Transaction = require('../models/transaction');
+const { toDecimalString } = require('../utils/money');
+const { getBalanceAt } = require('./ledger');
+const { getBank } = require('./statements');
+
+// Exports of completed transactions for accounting software: OFX 2.x,
+// QIF and ISO 20022 camt.053. The transactionId is used as the FITID /
+// entry reference, so re-importing an overlapping range does not create
+// duplicates.
+
+const FORMATS = {
+  ofx: { extension: 'ofx', contentType: 'application/x-ofx' },
+  qif: { extension: 'qif', contentType: 'application/qif' },
+  camt053: { extension: 'xml', contentType: 'application/xml' }
+};
+
+// Everything an export needs for an account over [start, end)
+const buildExport = async (account, { start, end }) => {
+  const owner = await User.findById(account.customer).select('name');
+
+  const transactions = await Transaction.find({
+    accountId: account._id,
+    status: 'completed',
+    $or: [
+      { completedAt: { $gte: start, $lt: end } },
+      { completedAt: null, createdAt: { $gte: start, $lt: end } }
+    ]
+  }).sort({ completedAt: 1, createdAt: 1 });
+
+  const entries = transactions.map(t => {
+    const isCredit = t.type === 'credit';
+    const counterparty = isCredit ? t.sender : t.receiver;
+
+    return {
+      fitId: t.transactionId,
+      postedAt: t.completedAt || t.createdAt,
+      isCredit,
+      // Signed, in minor units; the account is debited the full amount
+      amount: isCredit ? t.netAmount || t.amount : -t.amount,
+      category: t.category,
+      description: t.description || '',
+      counterparty: {
+        name: (counterparty && counterparty.name) || '',
+        accountNumber: (counterparty && counterparty.accountNumber) || ''
+      }
+    };
+  });
+
+  return {
+    bank: getBank(),
+    owner: owner ? owner.name : '',
+    account,
+    period: { start, end },
+    openingBalance: await getBalanceAt(account._id, start),
+    closingBalance: await getBalanceAt(account._id, end),
+    entries,
+    generatedAt: new Date()
+  };
+};
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+// --- OFX 2.x ---
+
+const ofxDate = (date) => `${date.toISOString().replace(/[-:T]/g, '').slice(0, 18)}[0:GMT]`;
+
+const OFX_TRNTYPES = {
+  transfer: 'XFER',
+  deposit: 'DEP',
+  payment: 'PAYMENT',
+  fee: 'FEE',
+  interest: 'INT'
+};
+
+const ofxTrnType = (entry) => OFX_TRNTYPES[entry.category] || (entry.isCredit ? 'CREDIT' : 'DEBIT');
+
+const renderOfx = (data) => {
+  const { account, bank } = data;
+  const money = (amount) => toDecimalString(amount, account.currency);
+  const acctType = account.accountType === 'savings' ? 'SAVINGS' : 'CHECKING';
+
+  const transactions = data.entries.map(entry => [
+    '<STMTTRN>',
+    `<TRNTYPE>${ofxTrnType(entry)}</TRNTYPE>`,
+    `<DTPOSTED>${ofxDate(entry.postedAt)}</DTPOSTED>`,
+    `<TRNAMT>${money(entry.amount)}</TRNAMT>`,
+    `<FITID>${escapeXml(entry.fitId)}</FITID>`,
+    entry.counterparty.name && `<NAME>${escapeXml(entry.counterparty.name.slice(0, 32))}</NAME>`,
+    entry.counterparty.accountNumber && [
+      '<BANKACCTTO>',
+      `<BANKID>${escapeXml(bank.routingNumber)}</BANKID>`,
+      `<ACCTID>${escapeXml(entry.counterparty.accountNumber)}</ACCTID>`,
+      '<ACCTTYPE>CHECKING</ACCTTYPE>',
+      '</BANKACCTTO>'
+    ].join(''),
+    entry.description && `<MEMO>${escapeXml(entry.description.slice(0, 255))}</MEMO>`,
+    '</STMTTRN>'
+  ].filter(Boolean).join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
+    '<?OFX OFXHEADER="200" VERSION="211" SECURITY="NONE" OLDFILEUID="NONE" NEWFILEUID="NONE"?>',
+    '<OFX>',
+    '<SIGNONMSGSRSV1>',
+    '<SONRS>',
+    '<STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>',
+    `<DTSERVER>${ofxDate(data.generatedAt)}</DTSERVER>`,
+    '<LANGUAGE>ENG</LANGUAGE>',
+    `<FI><ORG>${escapeXml(bank.name)}</ORG><FID>${escapeXml(bank.routingNumber)}</FID></FI>`,
+    '</SONRS>',
+    '</SIGNONMSGSRSV1>',
+    '<BANKMSGSRSV1>',
+    '<STMTTRNRS>',
+    `<TRNUID>${crypto.randomUUID()}</TRNUID>`,
+    '<STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>',
+    '<STMTRS>',
+    `<CURDEF>${account.currency}</CURDEF>`,
+    '<BANKACCTFROM>',
+    `<BANKID>${escapeXml(bank.routingNumber)}</BANKID>`,
+    `<ACCTID>${escapeXml(account.accountNumber)}</ACCTID>`,
+    `<ACCTTYPE>${acctType}</ACCTTYPE>`,
+    '</BANKACCTFROM>',
+    '<BANKTRANLIST>',
+    `<DTSTART>${ofxDate(data.period.start)}</DTSTART>`,
+    `<DTEND>${ofxDate(data.period.end)}</DTEND>`,
+    ...transactions,
+    '</BANKTRANLIST>',
+    '<LEDGERBAL>',
+    `<BALAMT>${money(data.closingBalance)}</BALAMT>`,
+    `<DTASOF>${ofxDate(data.period.end)}</DTASOF>`,
+    '</LEDGERBAL>',
+    '</STMTRS>',
+    '</STMTTRNRS>',
+    '</BANKMSGSRSV1>',
+    '</OFX>',
+    ''
+  ].join('\n');
+};
+
+// --- QIF ---
+
+const qifDate = (date) => {
+  const d = date.toISOString();
+  return `${d.slice(5, 7)}/${d.slice(8, 10)}/${d.slice(0, 4)}`;
+};
+
+// QIF is line based; strip anything that would start a new field
+const qifText = (value) => String(value).replace(/[\r\n]+/g, ' ');
+
+const renderQif = (data) => {
+  const { account } = data;
+  const lines = ['!Type:Bank'];
+
+  for (const entry of data.entries) {
+    lines.push(`D${qifDate(entry.postedAt)}`);
+    lines.push(`T${toDecimalString(entry.amount, account.currency)}`);
+    lines.push(`N${qifText(entry.fitId)}`);
+    if (entry.counterparty.name) lines.push(`P${qifText(entry.counterparty.name)}`);
+    if (entry.description) lines.push(`M${qifText(entry.description)}`);
+    lines.push(`L${qifText(entry.category.charAt(0).toUpperCase() + entry.category.slice(1))}`);
+    lines.push('^');
+  }
+
+  return lines.join('\n') + '\n';
+};
+
+// --- ISO 20022 camt.053.001.08 ---
+
+const CAMT_NAMESPACE = 'urn:iso:std:iso:20022:tech:xsd:camt.053.001.08';
+
+const isoDateTime = (date) => date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+const isoDay = (date) => date.toISOString().slice(0, 10);
+
+const renderCamt053 = (data) => {
+  const { account, bank } = data;
+  const ccy = account.currency;
+  const money = (amount) => toDecimalString(Math.abs(amount), ccy);
+  const indicator = (amount) => (amount < 0 ? 'DBIT' : 'CRDT');
+  const messageId = `${account.accountNumber}-${isoDay(data.period.start).replace(/-/g, '')}-${data.generatedAt.getTime()}`;
+
+  const party = (name, accountNumber, role) => [
+    name && `<${role}><Pty><Nm>${escapeXml(name.slice(0, 140))}</Nm></Pty></${role}>`,
+    accountNumber && `<${role}Acct><Id><Othr><Id>${escapeXml(accountNumber)}</Id></Othr></Id></${role}Acct>`
+  ].filter(Boolean).join('');
+
+  const balance = (code, amount, date) => [
+    '<Bal>',
+    `<Tp><CdOrPrtry><Cd>${code}</Cd></CdOrPrtry></Tp>`,
+    `<Amt Ccy="${ccy}">${money(amount)}</Amt>`,
+    `<CdtDbtInd>${indicator(amount)}</CdtDbtInd>`,
+    `<Dt><Dt>${isoDay(date)}</Dt></Dt>`,
+    '</Bal>'
+  ].join('');
+
+  const credits = data.entries.filter(e => e.isCredit);
+  const debits = data.entries.filter(e => !e.isCredit);
+  const sum = (entries) => entries.reduce((total, e) => total + Math.abs(e.amount), 0);
+
+  const entries = data.entries.map(entry => {
+    // The owner is the creditor on incoming money and the debtor on outgoing
+    const counterpartyRole = entry.isCredit ? 'Dbtr' : 'Cdtr';
+
+    return [
+      '<Ntry>',
+      `<NtryRef>${escapeXml(entry.fitId)}</NtryRef>`,
+      `<Amt Ccy="${ccy}">${money(entry.amount)}</Amt>`,
+      `<CdtDbtInd>${indicator(entry.amount)}</CdtDbtInd>`,
+      '<Sts><Cd>BOOK</Cd></Sts>',
+      `<BookgDt><DtTm>${isoDateTime(entry.postedAt)}</DtTm></BookgDt>`,
+      `<ValDt><Dt>${isoDay(entry.postedAt)}</Dt></ValDt>`,
+      `<AcctSvcrRef>${escapeXml(entry.fitId)}</AcctSvcrRef>`,
+      `<BkTxCd><Prtry><Cd>${entry.category.toUpperCase()}</Cd></Prtry></BkTxCd>`,
+      '<NtryDtls><TxDtls>',
+      `<Refs><AcctSvcrRef>${escapeXml(entry.fitId)}</AcctSvcrRef></Refs>`,
+      `<Amt Ccy="${ccy}">${money(entry.amount)}</Amt>`,
+      `<CdtDbtInd>${indicator(entry.amount)}</CdtDbtInd>`,
+      (entry.counterparty.name || entry.counterparty.accountNumber)
+        ? `<RltdPties>${party(entry.counterparty.name, entry.counterparty.accountNumber, counterpartyRole)}</RltdPties>`
+        : '',
+      entry.description ? `<RmtInf><Ustrd>${escapeXml(entry.description.slice(0, 140))}</Ustrd></RmtInf>` : '',
+      '</TxDtls></NtryDtls>',
+      '</Ntry>'
+    ].filter(Boolean).join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<Document xmlns="${CAMT_NAMESPACE}">`,
+    '<BkToCstmrStmt>',
+    `<GrpHdr><MsgId>${escapeXml(messageId)}</MsgId><CreDtTm>${isoDateTime(data.generatedAt)}</CreDtTm></GrpHdr>`,
+    '<Stmt>',
+    `<Id>${escapeXml(messageId)}</Id>`,
+    `<CreDtTm>${isoDateTime(data.generatedAt)}</CreDtTm>`,
+    `<FrToDt><FrDtTm>${isoDateTime(data.period.start)}</FrDtTm><ToDtTm>${isoDateTime(data.period.end)}</ToDtTm></FrToDt>`,
+    '<Acct>',
+    `<Id><Othr><Id>${escapeXml(account.accountNumber)}</Id></Othr></Id>`,
+    `<Ccy>${ccy}</Ccy>`,
+    data.owner ? `<Ownr><Nm>${escapeXml(data.owner)}</Nm></Ownr>` : '',
+    `<Svcr><FinInstnId><Nm>${escapeXml(bank.name)}</Nm></FinInstnId></Svcr>`,
+    '</Acct>',
+    balance('OPBD', data.openingBalance, data.period.start),
+    balance('CLBD', data.closingBalance, new Date(data.period.end.getTime() - 1)),
+    '<TxsSummry>',
+    `<TtlNtries><NbOfNtries>${data.entries.length}</NbOfNtries></TtlNtries>`,
+    `<TtlCdtNtries><NbOfNtries>${credits.length}</NbOfNtries><Sum>${money(sum(credits))}</Sum></TtlCdtNtries>`,
+    `<TtlDbtNtries><NbOfNtries>${debits.length}</NbOfNtries><Sum>${money(sum(debits))}</Sum></TtlDbtNtries>`,
+    '</TxsSummry>',
+    ...entries,
+    '</Stmt>',
+    '</BkToCstmrStmt>',
+    '</Document>',
+    ''
+  ].filter(Boolean).join('\n');
+};
+
+const RENDERERS = {
+  ofx: renderOfx,
+  qif: renderQif,
+  camt053: renderCamt053
+};
+
+// Rendered export: { body, contentType, extension }
+const exportTransactions = async (account, period, format) => {
+  const data = await buildExport(account, period);
+
+  return {
+    body: RENDERERS[format](data),
+    ...FORMATS[format]
+  };
+};
+
+module.exports = {
+  FORMATS,
+  buildExport,
+  renderOfx,
+  renderQif,
+  renderCamt053,
+  exportTransactions
+};
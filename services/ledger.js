@@ -0,0 +1,45 @@
+const Account = require('../models/account');
+const LedgerEntry = require('../models/ledgerEntry');
+
+// Apply a signed amount to an account balance and append the matching
+// ledger entry. This is the only place balances should change.
+// With requireFunds, a debit that would overdraw the account is refused
+// and null is returned.
+const post = async ({ accountId, amount, transaction, description, session, requireFunds = false }) => {
+  const filter = { _id: accountId };
+  if (requireFunds && amount < 0) {
+    filter.balance = { $gte: -amount };
+  }
+
+  const account = await Account.findOneAndUpdate(
+    filter,
+    { $inc: { balance: amount } },
+    { new: true, session }
+  );
+
+  if (!account) return null;
+
+  await LedgerEntry.create([{
+    account: account._id,
+    currency: account.currency,
+    transaction,
+    amount,
+    balanceAfter: account.balance,
+    description
+  }], { session });
+
+  return account;
+};
+
+// Running balance just before `date`: balanceAfter of the last entry
+// posted earlier, or 0 when there is none
+const getBalanceAt = async (accountId, date) => {
+  const previous = await LedgerEntry.findOne({
+    account: accountId,
+    createdAt: { $lt: date }
+  }).sort({ _id: -1 });
+
+  return previous ? previous.balanceAfter : 0;
+};
+
+module.exports = { post, getBalanceAt };
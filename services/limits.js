@@ -0,0 +1,222 @@
+const LimitPolicy = require('../models/limitPolicy');
+const Transaction = require('../models/transaction');
+const HttpError = require('../utils/httpError');
+const { formatMoney } = require('../utils/money');
+const exchangeRates = require('./exchangeRates');
+
+// Limits and fees are in minor units of LIMIT_CURRENCY
+const LIMIT_CURRENCY = 'USD';
+
+const POLICY_FIELDS = [
+  'perTransactionLimit',
+  'dailyLimit',
+  'weeklyLimit',
+  'monthlyLimit',
+  'monthlyWithdrawalLimit'
+];
+const FEE_FIELDS = ['type', 'flatAmount', 'percentageBps', 'minimum', 'maximum'];
+
+// Used until an admin configures the account type
+const DEFAULT_POLICIES = {
+  checking: {
+    perTransactionLimit: 500000, // $5,000
+    dailyLimit: 1000000, // $10,000
+    weeklyLimit: 2500000,
+    monthlyLimit: 5000000,
+    monthlyWithdrawalLimit: null,
+    fee: { type: 'none' }
+  },
+  savings: {
+    perTransactionLimit: 500000,
+    dailyLimit: 500000,
+    weeklyLimit: 1500000,
+    monthlyLimit: 3000000,
+    monthlyWithdrawalLimit: 6,
+    fee: { type: 'none' }
+  },
+  business: {
+    perTransactionLimit: 2500000,
+    dailyLimit: 5000000,
+    weeklyLimit: 15000000,
+    monthlyLimit: 50000000,
+    monthlyWithdrawalLimit: null,
+    fee: { type: 'none' }
+  }
+};
+
+// Copy the fields a stored policy sets over `base`
+const applyPolicy = (base, policy) => {
+  if (!policy) return base;
+
+  const merged = { ...base, fee: { ...base.fee } };
+  for (const field of POLICY_FIELDS) {
+    if (policy[field] !== undefined) merged[field] = policy[field];
+  }
+  for (const field of FEE_FIELDS) {
+    if (policy.fee && policy.fee[field] !== undefined) merged.fee[field] = policy.fee[field];
+  }
+
+  return merged;
+};
+
+// Defaults, then the account type policy, then the customer's override
+const getEffectivePolicy = async (accountType, customerId, session) => {
+  const policies = await LimitPolicy.find({
+    accountType,
+    customer: { $in: [null, customerId] }
+  }).session(session || null).lean();
+
+  const typePolicy = policies.find(p => !p.customer);
+  const override = policies.find(p => p.customer);
+
+  return {
+    accountType,
+    ...applyPolicy(applyPolicy(DEFAULT_POLICIES[accountType], typePolicy), override),
+    hasOverride: Boolean(override)
+  };
+};
+
+// Start of the current day, ISO week (Monday) and month, in UTC
+const periodStarts = (now = new Date()) => {
+  const day = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  const week = new Date(day);
+  week.setUTCDate(day.getUTCDate() - ((day.getUTCDay() + 6) % 7));
+  const month = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+
+  return { day, week, month };
+};
+
+// Outgoing payments from an account this month, with the amounts sent to
+// other customers per period in LIMIT_CURRENCY. Held transfers count too,
+// so holds cannot be used to get around a limit.
+const getUsage = async (account, session) => {
+  const starts = periodStarts();
+
+  const debits = await Transaction.find({
+    accountId: account._id,
+    type: 'debit',
+    category: { $in: ['transfer', 'withdrawal', 'payment'] },
+    status: { $in: ['completed', 'pending'] },
+    createdAt: { $gte: starts.week < starts.month ? starts.week : starts.month }
+  }).select('amount currency createdAt receiver.userId').session(session || null);
+
+  const usage = { daily: 0, weekly: 0, monthly: 0, withdrawalsThisMonth: 0 };
+
+  for (const debit of debits) {
+    const inMonth = debit.createdAt >= starts.month;
+    if (inMonth) usage.withdrawalsThisMonth += 1;
+
+    // Moves between the customer's own accounts are not capped
+    if (debit.receiver && debit.receiver.userId && debit.receiver.userId.equals(account.customer)) {
+      continue;
+    }
+
+    const { amount } = await exchangeRates.convert(debit.amount, debit.currency, LIMIT_CURRENCY);
+    if (debit.createdAt >= starts.day) usage.daily += amount;
+    if (debit.createdAt >= starts.week) usage.weekly += amount;
+    if (inMonth) usage.monthly += amount;
+  }
+
+  return usage;
+};
+
+const remaining = (limit, used) => (limit === null ? null : Math.max(limit - used, 0));
+
+// Remaining allowance on an account, for the customer
+const getRemainingLimits = async (account) => {
+  const [policy, usage] = await Promise.all([
+    getEffectivePolicy(account.accountType, account.customer),
+    getUsage(account)
+  ]);
+
+  return {
+    currency: LIMIT_CURRENCY,
+    perTransactionLimit: policy.perTransactionLimit,
+    daily: { limit: policy.dailyLimit, used: usage.daily, remaining: remaining(policy.dailyLimit, usage.daily) },
+    weekly: { limit: policy.weeklyLimit, used: usage.weekly, remaining: remaining(policy.weeklyLimit, usage.weekly) },
+    monthly: { limit: policy.monthlyLimit, used: usage.monthly, remaining: remaining(policy.monthlyLimit, usage.monthly) },
+    withdrawals: {
+      limit: policy.monthlyWithdrawalLimit,
+      used: usage.withdrawalsThisMonth,
+      remaining: remaining(policy.monthlyWithdrawalLimit, usage.withdrawalsThisMonth)
+    },
+    fee: policy.fee
+  };
+};
+
+const checkPerTransactionLimit = (policy, limitAmount) => {
+  if (policy.perTransactionLimit !== null && limitAmount > policy.perTransactionLimit) {
+    throw new HttpError(400, `Amount exceeds the per-transaction limit of ${formatMoney(policy.perTransactionLimit, LIMIT_CURRENCY)}`);
+  }
+};
+
+// Throw when a single payment of `limitAmount` (LIMIT_CURRENCY) is over
+// the account's per-transaction limit. For payments that run later, whose
+// usage-based limits are checked when they run.
+const assertPerTransactionLimit = async ({ account, limitAmount }) => {
+  checkPerTransactionLimit(await getEffectivePolicy(account.accountType, account.customer), limitAmount);
+};
+
+// Throw when a payment of `limitAmount` (LIMIT_CURRENCY) from `account`
+// would break its policy. Internal transfers only count towards the
+// withdrawal limit. Resolves to the effective policy.
+const assertWithinLimits = async ({ account, limitAmount, isInternal, session }) => {
+  // Sequential: operations in one MongoDB transaction must not overlap
+  const policy = await getEffectivePolicy(account.accountType, account.customer, session);
+  const usage = await getUsage(account, session);
+
+  if (policy.monthlyWithdrawalLimit !== null && usage.withdrawalsThisMonth >= policy.monthlyWithdrawalLimit) {
+    throw new HttpError(400, `Monthly limit of ${policy.monthlyWithdrawalLimit} withdrawals from this account reached`);
+  }
+
+  if (isInternal) return policy;
+
+  const money = (value) => formatMoney(value, LIMIT_CURRENCY);
+
+  checkPerTransactionLimit(policy, limitAmount);
+
+  const periods = [
+    ['Daily', policy.dailyLimit, usage.daily],
+    ['Weekly', policy.weeklyLimit, usage.weekly],
+    ['Monthly', policy.monthlyLimit, usage.monthly]
+  ];
+
+  for (const [name, limit, used] of periods) {
+    if (limit !== null && used + limitAmount > limit) {
+      throw new HttpError(400, `${name} transfer limit of ${money(limit)} exceeded`);
+    }
+  }
+
+  return policy;
+};
+
+// Fee for sending `amount` (minor units of `currency`) under `fee`.
+// Flat amounts, minimums and maximums are configured in LIMIT_CURRENCY.
+const calculateFee = async (fee, amount, currency) => {
+  if (!fee || !fee.type || fee.type === 'none') return 0;
+
+  const inCurrency = async (value) => (
+    (await exchangeRates.convert(value, LIMIT_CURRENCY, currency)).amount
+  );
+
+  let charge = fee.type === 'flat'
+    ? await inCurrency(fee.flatAmount || 0)
+    : Math.round(amount * (fee.percentageBps || 0) / 10000);
+
+  if (fee.minimum) charge = Math.max(charge, await inCurrency(fee.minimum));
+  if (fee.maximum) charge = Math.min(charge, await inCurrency(fee.maximum));
+
+  return charge;
+};
+
+module.exports = {
+  LIMIT_CURRENCY,
+  DEFAULT_POLICIES,
+  POLICY_FIELDS,
+  getEffectivePolicy,
+  getUsage,
+  getRemainingLimits,
+  assertPerTransactionLimit,
+  assertWithinLimits,
+  calculateFee
+};
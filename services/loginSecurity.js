@@ -0,0 +1,93 @@
+const User = require('../models/user');
+const HttpError = require('../utils/httpError');
+const { sendMail } = require('./mailer');
+
+const MAX_FAILED_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+// Failures allowed before delays start
+const FREE_ATTEMPTS = 2;
+const MAX_DELAY_SECONDS = 30;
+
+// 1s, 2s, 4s, ... after the free attempts, capped
+const delayFor = (failedAttempts) => {
+  if (failedAttempts <= FREE_ATTEMPTS) return 0;
+  return Math.min(Math.pow(2, failedAttempts - FREE_ATTEMPTS - 1), MAX_DELAY_SECONDS);
+};
+
+// Throw if the account is locked or still inside its back-off delay
+const assertLoginAllowed = (user) => {
+  const now = new Date();
+  const { lockedUntil, nextAttemptAt } = user.loginSecurity || {};
+
+  if (lockedUntil && lockedUntil > now) {
+    throw new HttpError(423, 'Account is temporarily locked after too many failed sign-in attempts. Try again later or reset your password.', {
+      retryAfter: Math.ceil((lockedUntil - now) / 1000)
+    });
+  }
+
+  if (nextAttemptAt && nextAttemptAt > now) {
+    throw new HttpError(429, 'Too many failed attempts. Please wait before trying again.', {
+      retryAfter: Math.ceil((nextAttemptAt - now) / 1000)
+    });
+  }
+};
+
+const notifyLocked = (user) => sendMail({
+  to: user.email,
+  subject: 'Your account has been locked',
+  text: `We locked your account for ${LOCKOUT_MINUTES} minutes after ${MAX_FAILED_ATTEMPTS} failed sign-in attempts.\n\nIf this was not you, we recommend resetting your password. If you need help, contact support.`
+}).catch(err => console.error('Lockout notice error:', err));
+
+// Count a failed password or second-factor attempt
+const recordFailedLogin = async (user) => {
+  const updated = await User.findByIdAndUpdate(
+    user._id,
+    {
+      $inc: { 'loginSecurity.failedAttempts': 1 },
+      'loginSecurity.lastFailedAt': new Date()
+    },
+    { new: true }
+  );
+
+  const failedAttempts = updated.loginSecurity.failedAttempts;
+  const now = Date.now();
+
+  if (failedAttempts >= MAX_FAILED_ATTEMPTS) {
+    await User.updateOne(
+      { _id: user._id },
+      {
+        'loginSecurity.lockedUntil': new Date(now + LOCKOUT_MINUTES * 60 * 1000),
+        'loginSecurity.failedAttempts': 0,
+        $unset: { 'loginSecurity.nextAttemptAt': 1 }
+      }
+    );
+    notifyLocked(updated);
+    return;
+  }
+
+  const delay = delayFor(failedAttempts);
+  if (delay > 0) {
+    await User.updateOne(
+      { _id: user._id },
+      { 'loginSecurity.nextAttemptAt': new Date(now + delay * 1000) }
+    );
+  }
+};
+
+const clearFailedLogins = (userId) => User.updateOne(
+  { _id: userId },
+  {
+    'loginSecurity.failedAttempts': 0,
+    $unset: {
+      'loginSecurity.nextAttemptAt': 1,
+      'loginSecurity.lockedUntil': 1
+    }
+  }
+);
+
+module.exports = {
+  assertLoginAllowed,
+  recordFailedLogin,
+  clearFailedLogins,
+  unlockAccount: clearFailedLogins
+};
@@ -0,0 +1,65 @@
+const fs = require('fs');
+const nodemailer = require('nodemailer');
+
+// Outgoing email. Uses SMTP when SMTP_HOST is set, otherwise a JSON
+// transport that logs messages to the console for development. With
+// MAIL_TRANSPORT=file messages are appended as JSON lines to MAIL_FILE.
+// Tests can swap in their own transport with setTransport.
+
+const createFileTransport = (filePath) => ({
+  async sendMail(message) {
+    const line = JSON.stringify({ ...message, sentAt: new Date().toISOString() });
+    await fs.promises.appendFile(filePath, `${line}\n`);
+    return {};
+  }
+});
+
+const createDefaultTransport = () => {
+  if (process.env.SMTP_HOST) {
+    return nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? {
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS
+      } : undefined
+    });
+  }
+
+  if (process.env.MAIL_TRANSPORT === 'file' && process.env.MAIL_FILE) {
+    return createFileTransport(process.env.MAIL_FILE);
+  }
+
+  return nodemailer.createTransport({ jsonTransport: true });
+};
+
+let transport = null;
+
+const getTransport = () => {
+  if (!transport) transport = createDefaultTransport();
+  return transport;
+};
+
+// Replace the transport, e.g. with one that captures messages in tests
+const setTransport = (newTransport) => {
+  transport = newTransport;
+};
+
+const sendMail = async ({ to, subject, text, html }) => {
+  const info = await getTransport().sendMail({
+    from: process.env.MAIL_FROM || 'no-reply@bank.local',
+    to,
+    subject,
+    text,
+    html
+  });
+
+  if (!process.env.SMTP_HOST && info.message) {
+    console.log('Email (not sent, no SMTP_HOST):', info.message.toString());
+  }
+
+  return info;
+};
+
+module.exports = { sendMail, setTransport, getTransport, createFileTransport };
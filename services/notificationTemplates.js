@@ -0,0 +1,117 @@
+const { formatMoney } = require('../utils/money');
+
+// Message templates per notification event. Each returns the email
+// subject and body, and a one-line summary used for SMS and push.
+
+const last4 = (accountNumber) => `ending ${String(accountNumber || '').slice(-4)}`;
+
+const SIGN_OFF = '\n\nIf you do not recognise this, contact us immediately.';
+
+const TEMPLATES = {
+  fundsReceived: ({ transaction }) => {
+    const amount = formatMoney(transaction.netAmount || transaction.amount, transaction.currency);
+    const from = (transaction.sender && transaction.sender.name) || 'another account';
+    const account = last4(transaction.receiver && transaction.receiver.accountNumber);
+
+    return {
+      subject: `You received ${amount}`,
+      text: `${amount} from ${from} was paid into your account ${account}.\n\nReference: ${transaction.transactionId}\nDescription: ${transaction.description || '-'}`,
+      summary: `You received ${amount} from ${from} into account ${account}.`
+    };
+  },
+
+  transferSent: ({ transaction }) => {
+    const amount = formatMoney(transaction.amount, transaction.currency);
+    const to = (transaction.receiver && (transaction.receiver.name || transaction.receiver.accountNumber)) || 'another account';
+    const account = last4(transaction.sender && transaction.sender.accountNumber);
+
+    return {
+      subject: `You sent ${amount}`,
+      text: `${amount} was sent from your account ${account} to ${to}.\n\nReference: ${transaction.transactionId}\nDescription: ${transaction.description || '-'}${SIGN_OFF}`,
+      summary: `You sent ${amount} to ${to} from account ${account}.`
+    };
+  },
+
+  lowBalance: ({ account, threshold }) => {
+    const balance = formatMoney(account.balance, account.currency);
+    const limit = formatMoney(threshold, account.currency);
+
+    return {
+      subject: 'Your balance is low',
+      text: `The balance of your account ${last4(account.accountNumber)} is ${balance}, below your alert level of ${limit}.`,
+      summary: `Low balance: account ${last4(account.accountNumber)} is at ${balance}.`
+    };
+  },
+
+  newDeviceLogin: ({ session }) => {
+    const when = new Date(session.createdAt || Date.now()).toUTCString();
+    const device = session.userAgent || 'an unknown device';
+
+    return {
+      subject: 'New sign-in to your account',
+      text: `Your account was signed in to from a new device.\n\nDevice: ${device}\nIP address: ${session.ipAddress || 'unknown'}\nTime: ${when}\n\nIf this was not you, change your password and sign out of all devices.`,
+      summary: `New sign-in to your account at ${when}. Not you? Change your password now.`
+    };
+  },
+
+  transactionFailed: ({ transaction }) => {
+    const amount = formatMoney(transaction.amount, transaction.currency);
+    const to = (transaction.receiver && (transaction.receiver.name || transaction.receiver.accountNumber)) || 'the recipient';
+
+    return {
+      subject: 'A payment could not be completed',
+      text: `Your payment of ${amount} to ${to} could not be completed and no money has left your account.\n\nReference: ${transaction.transactionId}${transaction.notes ? `\nReason: ${transaction.notes}` : ''}`,
+      summary: `Your payment of ${amount} to ${to} failed.`
+    };
+  },
+
+  accountStatusChanged: ({ account, status, reason }) => {
+    const state = status === 'suspended' ? 'frozen' : status === 'active' ? 'reactivated' : status;
+
+    return {
+      subject: `Your account has been ${state}`,
+      text: `Your account ${last4(account.accountNumber)} has been ${state}.${reason ? `\n\nReason: ${reason}` : ''}\n\nContact us if you have any questions.`,
+      summary: `Your account ${last4(account.accountNumber)} has been ${state}.`
+    };
+  },
+
+  budgetAlert: ({ budget, level }) => {
+    const spent = formatMoney(budget.spent, budget.currency);
+    const limit = formatMoney(budget.amount, budget.currency);
+    const headline = level >= 100
+      ? `You have used all of your ${budget.category} budget`
+      : `You have used ${level}% of your ${budget.category} budget`;
+
+    return {
+      subject: headline,
+      text: `${headline} for this month: ${spent} spent of ${limit}.`,
+      summary: `${headline}: ${spent} of ${limit}.`
+    };
+  }
+};
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// HTML version of a plain-text email: one paragraph per blank-line block
+const toHtml = (text) => text
+  .split('\n\n')
+  .map(block => `<p>${escapeHtml(block).replace(/\n/g, '<br>')}</p>`)
+  .join('\n');
+
+// { subject, text, html, summary } for an event
+const render = (event, data, user) => {
+  const message = TEMPLATES[event](data);
+  const text = `Hello ${user.name},\n\n${message.text}`;
+
+  return {
+    ...message,
+    text,
+    html: toHtml(text)
+  };
+};
+
+module.exports = { TEMPLATES, render };
@@ -0,0 +1,238 @@
+const User = require('../models/user');
+const Account = require('../models/account');
+const Notification = require('../models/notification');
+const { sendMail } = require('./mailer');
+const { sendSms } = require('./sms');
+const { sendPush } = require('./push');
+const { LIMIT_CURRENCY } = require('./limits');
+const exchangeRates = require('./exchangeRates');
+const { render } = require('./notificationTemplates');
+
+// Customer notifications. notify() renders the event's template for every
+// channel the user has switched on and queues one Notification per
+// channel. Each is sent straight away and, if that fails, retried by the
+// scheduler with exponential backoff.
+
+const CHANNELS = ['email', 'sms', 'push'];
+
+// Used for any channel the user has not set
+const DEFAULT_PREFERENCES = {
+  fundsReceived: { email: true, sms: false, push: true },
+  transferSent: { email: true, sms: false, push: true },
+  lowBalance: { email: true, sms: false, push: true },
+  newDeviceLogin: { email: true, sms: true, push: true },
+  transactionFailed: { email: true, sms: false, push: true },
+  accountStatusChanged: { email: true, sms: true, push: false },
+  budgetAlert: { email: true, sms: false, push: true }
+};
+const EVENTS = Object.keys(DEFAULT_PREFERENCES);
+
+// $100
+const DEFAULT_LOW_BALANCE_THRESHOLD = 10000;
+
+const MAX_ATTEMPTS = parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS) || 5;
+const RETRY_BASE_MS = 60 * 1000;
+const LOCK_DURATION_MS = 2 * 60 * 1000;
+const BATCH_SIZE = 100;
+
+// Channel senders. Replace one with setChannel, e.g. to plug in another
+// SMS provider; a channel is an async function (notification) => void.
+const channels = {
+  email: (notification) => sendMail({
+    to: notification.to,
+    subject: notification.subject,
+    text: notification.text,
+    html: notification.html
+  }),
+  sms: (notification) => sendSms(notification.to, notification.text),
+  push: (notification) => sendPush(notification.to, notification.subject, notification.text)
+};
+
+const setChannel = (name, send) => {
+  channels[name] = send;
+};
+
+// Effective preferences: the user's choices over the defaults
+const getPreferences = (user) => {
+  const saved = user.notificationPreferences || {};
+
+  const events = {};
+  for (const event of EVENTS) {
+    events[event] = {};
+    for (const channel of CHANNELS) {
+      const value = saved[event] && saved[event][channel];
+      events[event][channel] = typeof value === 'boolean' ? value : DEFAULT_PREFERENCES[event][channel];
+    }
+  }
+
+  return {
+    events,
+    lowBalanceThreshold: saved.lowBalanceThreshold === undefined
+      ? DEFAULT_LOW_BALANCE_THRESHOLD
+      : saved.lowBalanceThreshold,
+    currency: LIMIT_CURRENCY
+  };
+};
+
+// Where a channel delivers to for this user, or null if it cannot
+const addressFor = (user, channel) => {
+  if (channel === 'email') return user.email;
+  if (channel === 'sms') return user.phoneVerified ? user.phone : null;
+  return String(user._id);
+};
+
+// Try to send a claimed notification once and record the outcome
+const deliver = async (notification) => {
+  notification.attempts += 1;
+
+  try {
+    await channels[notification.channel](notification);
+
+    notification.status = 'sent';
+    notification.sentAt = new Date();
+    notification.lastError = undefined;
+  } catch (error) {
+    notification.lastError = error.message;
+
+    if (notification.attempts >= MAX_ATTEMPTS) {
+      notification.status = 'failed';
+      console.error(`Notification ${notification._id} failed:`, error.message);
+    } else {
+      notification.nextAttemptAt = new Date(Date.now() + RETRY_BASE_MS * Math.pow(2, notification.attempts - 1));
+    }
+  }
+
+  notification.lockedUntil = undefined;
+  await notification.save();
+};
+
+// Queue and send `event` to a user. Never throws: a notification problem
+// must not fail the action that triggered it.
+const notify = async (userOrId, event, data = {}) => {
+  try {
+    const user = userOrId && userOrId.email ? userOrId : await User.findById(userOrId);
+    if (!user) return [];
+
+    const preferences = getPreferences(user).events[event];
+    const message = render(event, data, user);
+
+    const queued = [];
+    for (const channel of CHANNELS) {
+      const to = preferences[channel] && addressFor(user, channel);
+      if (!to) continue;
+
+      queued.push({
+        user: user._id,
+        event,
+        channel,
+        to,
+        subject: message.subject,
+        // SMS and push get the short version
+        text: channel === 'email' ? message.text : message.summary,
+        html: channel === 'email' ? message.html : undefined,
+        // Claimed for the first attempt below
+        lockedUntil: new Date(Date.now() + LOCK_DURATION_MS)
+      });
+    }
+
+    if (!queued.length) return [];
+
+    const notifications = await Notification.insertMany(queued);
+
+    for (const notification of notifications) {
+      deliver(notification).catch(err => console.error('Notification delivery error:', err));
+    }
+
+    return notifications;
+  } catch (error) {
+    console.error(`Notification error (${event}):`, error);
+    return [];
+  }
+};
+
+// Alert when a debit takes the account below the user's threshold
+const checkLowBalance = async (transaction) => {
+  const [user, account] = await Promise.all([
+    User.findById(transaction.userId),
+    Account.findById(transaction.accountId)
+  ]);
+  if (!user || !account) return;
+
+  const { lowBalanceThreshold } = getPreferences(user);
+  if (lowBalanceThreshold === null) return;
+
+  const { amount: threshold } = await exchangeRates.convert(lowBalanceThreshold, LIMIT_CURRENCY, account.currency);
+
+  // Only on the debit that crosses the threshold, not every one after it
+  if (account.balance < threshold && account.balance + transaction.amount >= threshold) {
+    await notify(user, 'lowBalance', { account, threshold });
+  }
+};
+
+// Notifications for a transaction that has reached its final status
+const notifyTransaction = async (transaction) => {
+  try {
+    if (!transaction) return;
+
+    if (transaction.status === 'failed') {
+      await notify(transaction.userId, 'transactionFailed', { transaction });
+      return;
+    }
+
+    if (transaction.status !== 'completed') return;
+
+    // Automatic savings sweeps are not announced one by one
+    if (transaction.type === 'credit') {
+      if (!transaction.savingsGoal) {
+        await notify(transaction.userId, 'fundsReceived', { transaction });
+      }
+      return;
+    }
+
+    if (!transaction.savingsGoal) {
+      await notify(transaction.userId, 'transferSent', { transaction });
+    }
+    await checkLowBalance(transaction);
+  } catch (error) {
+    console.error('Transaction notification error:', error);
+  }
+};
+
+// Retry queued notifications that are due, including any whose first
+// attempt was interrupted
+const processQueue = async (now = new Date()) => {
+  let processed = 0;
+
+  while (processed < BATCH_SIZE) {
+    const notification = await Notification.findOneAndUpdate(
+      {
+        status: 'queued',
+        nextAttemptAt: { $lte: now },
+        $or: [
+          { lockedUntil: null },
+          { lockedUntil: { $lte: now } }
+        ]
+      },
+      { lockedUntil: new Date(Date.now() + LOCK_DURATION_MS) },
+      { new: true, sort: { nextAttemptAt: 1 } }
+    );
+
+    if (!notification) break;
+
+    await deliver(notification);
+    processed++;
+  }
+
+  return processed;
+};
+
+module.exports = {
+  CHANNELS,
+  EVENTS,
+  DEFAULT_PREFERENCES,
+  getPreferences,
+  setChannel,
+  notify,
+  notifyTransaction,
+  processQueue
+};
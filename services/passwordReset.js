@@ -0,0 +1,69 @@
+const crypto = require('crypto');
+const User = require('../models/user');
+const HttpError = require('../utils/httpError');
+const { sendMail } = require('./mailer');
+const { revokeAllSessions } = require('./session');
+const { clearFailedLogins } = require('./loginSecurity');
+
+const RESET_TOKEN_TTL_MS = (parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 30) * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Email a single-use reset link. Does nothing for unknown addresses so
+// the caller can answer identically either way.
+const requestPasswordReset = async (email) => {
+  const user = await User.findOne({ email });
+
+  if (!user || user.status === 'closed') return;
+
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  user.passwordReset = {
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + RESET_TOKEN_TTL_MS)
+  };
+  await user.save();
+
+  const link = `${process.env.FRONTEND_URL || 'http://localhost:5173'}/reset-password?token=${token}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `We received a request to reset your password. Open this link to choose a new one: ${link}\n\nThe link expires in ${RESET_TOKEN_TTL_MS / 60000} minutes and can only be used once. If you did not ask for this, you can ignore this email.`
+  });
+};
+
+// Set a new password with a reset token. The token is consumed, any
+// sign-in lockout is lifted, every session is signed out and the customer
+// is told their password changed.
+const resetPassword = async (token, newPassword) => {
+  const user = await User.findOneAndUpdate(
+    {
+      'passwordReset.tokenHash': hashToken(String(token)),
+      'passwordReset.expiresAt': { $gt: new Date() }
+    },
+    { $unset: { passwordReset: 1 } }
+  );
+
+  if (!user) {
+    throw new HttpError(400, 'Reset link is invalid or has expired');
+  }
+
+  user.password = newPassword;
+  user.passwordReset = undefined;
+  await user.save();
+
+  await clearFailedLogins(user._id);
+  await revokeAllSessions(user._id, 'password_change');
+
+  // The reset has happened; a failed notice must not report otherwise
+  sendMail({
+    to: user.email,
+    subject: 'Your password was changed',
+    text: `The password for your account was changed on ${new Date().toUTCString()}. All devices have been signed out.\n\nIf you did not do this, contact us immediately.`
+  }).catch(err => console.error('Password changed notice error:', err));
+
+  return user;
+};
+
+module.exports = { requestPasswordReset, resetPassword };
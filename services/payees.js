@@ -0,0 +1,101 @@
+const Payee = require('../models/payee');
+const Account = require('../models/account');
+const User = require('../models/user');
+const Transaction = require('../models/transaction');
+const HttpError = require('../utils/httpError');
+const { toMinor, formatMoney } = require('../utils/money');
+const exchangeRates = require('./exchangeRates');
+const { LIMIT_CURRENCY } = require('./limits');
+
+// How long a new payee stays in its cooling-off period (default 24 hours)
+const getCoolingOffHours = () => parseFloat(process.env.PAYEE_COOLING_OFF_HOURS || '24');
+
+// Total that can be sent to a payee while it is cooling off, in major units
+// of LIMIT_CURRENCY (default 500)
+const getCoolingOffLimit = () => toMinor(process.env.PAYEE_COOLING_OFF_LIMIT || '500', LIMIT_CURRENCY);
+
+// Look up an account so the customer can confirm who they are paying.
+// `expectedName`, when given, must match the account holder's name.
+const addPayee = async (customerId, { accountNumber, nickname, expectedName }) => {
+  const account = await Account.findOne({ accountNumber });
+
+  if (!account || account.status === 'closed') {
+    throw new HttpError(404, 'Account not found');
+  }
+
+  if (account.customer.equals(customerId)) {
+    throw new HttpError(400, 'Your own accounts do not need to be saved as payees');
+  }
+
+  const holder = await User.findById(account.customer).select('name');
+
+  if (!holder) {
+    throw new HttpError(404, 'Account not found');
+  }
+
+  if (expectedName && expectedName.trim().toLowerCase() !== holder.name.trim().toLowerCase()) {
+    throw new HttpError(400, 'The name does not match the account holder');
+  }
+
+  const exists = await Payee.exists({ customer: customerId, accountNumber });
+
+  if (exists) {
+    throw new HttpError(409, 'This account is already in your payees');
+  }
+
+  return Payee.create({
+    customer: customerId,
+    account: account._id,
+    accountNumber,
+    name: holder.name,
+    nickname,
+    coolingOffUntil: new Date(Date.now() + getCoolingOffHours() * 60 * 60 * 1000)
+  });
+};
+
+// Throw when a transfer of `limitAmount` (LIMIT_CURRENCY) to `destination`
+// would go over the cooling-off cap. Only payees saved before the
+// cooling-off period are exempt: raw account numbers and payees that were
+// just added (or deleted and added again) share the cap, counting what
+// was sent to the account during the period. Resolves to the payee, if
+// the destination is in the customer's payee book.
+const assertCoolingOffLimit = async ({ customer, destination, limitAmount, session }) => {
+  const payee = await Payee.findOne({
+    customer: customer._id,
+    accountNumber: destination.accountNumber
+  }).session(session || null);
+
+  if (payee && !payee.coolingOff) return payee;
+
+  const windowStart = new Date(Date.now() - getCoolingOffHours() * 60 * 60 * 1000);
+
+  const sent = await Transaction.find({
+    userId: customer._id,
+    type: 'debit',
+    category: 'transfer',
+    status: { $in: ['completed', 'pending'] },
+    'receiver.accountNumber': destination.accountNumber,
+    createdAt: { $gte: windowStart }
+  }).select('amount currency').session(session || null);
+
+  let total = limitAmount;
+  for (const t of sent) {
+    total += (await exchangeRates.convert(t.amount, t.currency, LIMIT_CURRENCY)).amount;
+  }
+
+  const cap = getCoolingOffLimit();
+
+  if (total > cap) {
+    throw new HttpError(400, payee
+      ? `New payees can receive up to ${formatMoney(cap, LIMIT_CURRENCY)} until ${payee.coolingOffUntil.toISOString()}`
+      : `Accounts that are not established payees can receive up to ${formatMoney(cap, LIMIT_CURRENCY)} every ${getCoolingOffHours()} hours`);
+  }
+
+  return payee;
+};
+
+module.exports = {
+  getCoolingOffLimit,
+  addPayee,
+  assertCoolingOffLimit
+};
@@ -0,0 +1,56 @@
+const { EventEmitter } = require('events');
+
+// Publish/subscribe between server instances, used for real-time updates.
+// The default adapter only reaches subscribers in this process; with
+// several instances, plug in a shared one (Redis, NATS, ...) with
+// setAdapter. An adapter has
+//   publish(channel, message)  -> Promise
+//   subscribe(channel, handler) -> Promise<unsubscribe function>
+// where messages are strings.
+
+const createMemoryAdapter = () => {
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0);
+
+  return {
+    name: 'memory',
+    async publish(channel, message) {
+      emitter.emit(channel, message);
+    },
+    async subscribe(channel, handler) {
+      emitter.on(channel, handler);
+      return async () => emitter.off(channel, handler);
+    }
+  };
+};
+
+let adapter = null;
+
+const getAdapter = () => {
+  if (!adapter) adapter = createMemoryAdapter();
+  return adapter;
+};
+
+const setAdapter = (newAdapter) => {
+  adapter = newAdapter;
+};
+
+// Messages are sent as JSON, so subscribers get plain objects whichever
+// adapter is used
+const publish = (channel, message) => getAdapter().publish(channel, JSON.stringify(message));
+
+const subscribe = (channel, handler) => getAdapter().subscribe(channel, (raw) => {
+  try {
+    handler(JSON.parse(raw));
+  } catch (error) {
+    console.error(`Pub/sub handler error (${channel}):`, error);
+  }
+});
+
+module.exports = {
+  createMemoryAdapter,
+  getAdapter,
+  setAdapter,
+  publish,
+  subscribe
+};
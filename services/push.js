@@ -0,0 +1,49 @@
+const fs = require('fs');
+
+// Outgoing push notifications. A real provider (FCM, APNs, ...) can be
+// plugged in with setTransport; any object with an async
+// send({ userId, title, body }) works. Built-in transports:
+//  - console (default): prints messages, for development
+//  - file: appends JSON lines to PUSH_FILE, so tests can read them back
+
+const createConsoleTransport = () => ({
+  name: 'console',
+  async send({ userId, title, body }) {
+    console.log(`Push to ${userId}: ${title} - ${body}`);
+  }
+});
+
+const createFileTransport = (filePath) => ({
+  name: 'file',
+  async send({ userId, title, body }) {
+    const line = JSON.stringify({ userId, title, body, sentAt: new Date().toISOString() });
+    await fs.promises.appendFile(filePath, `${line}\n`);
+  }
+});
+
+const createDefaultTransport = () => {
+  if (process.env.PUSH_TRANSPORT === 'file' && process.env.PUSH_FILE) {
+    return createFileTransport(process.env.PUSH_FILE);
+  }
+  return createConsoleTransport();
+};
+
+let transport = null;
+
+const getTransport = () => {
+  if (!transport) transport = createDefaultTransport();
+  return transport;
+};
+
+const setTransport = (newTransport) => {
+  transport = newTransport;
+};
+
+const sendPush = (userId, title, body) => getTransport().send({ userId: String(userId), title, body });
+
+module.exports = {
+  createConsoleTransport,
+  createFileTransport,
+  setTransport,
+  sendPush
+};
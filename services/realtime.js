@@ -0,0 +1,118 @@
+const Account = require('../models/account');
+const pubsub = require('./pubsub');
+const { transactionPayload } = require('./webhooks');
+const { hasPermission } = require('../utils/roles');
+
+// Real-time updates for connected clients (see routes/events.js).
+// Updates are published on pub/sub channels so every server instance
+// hears them, and each instance forwards them to its own connections:
+//   user:<id>  balance and transaction updates for one customer
+//   staff      approval queue updates for staff
+
+const STAFF_CHANNEL = 'staff';
+const STAFF_PERMISSION = 'transactions:read';
+
+const userChannel = (userId) => `user:${userId}`;
+
+// channel -> { clients: Set of send functions, ready: Promise<unsubscribe> }
+const local = new Map();
+
+const join = async (channel, send) => {
+  let entry = local.get(channel);
+
+  // One pub/sub subscription per channel, shared by local connections
+  if (!entry) {
+    entry = { clients: new Set() };
+    entry.ready = pubsub.subscribe(channel, (message) => {
+      for (const client of entry.clients) client(message);
+    });
+    local.set(channel, entry);
+  }
+
+  entry.clients.add(send);
+  await entry.ready;
+
+  return async () => {
+    entry.clients.delete(send);
+
+    if (!entry.clients.size && local.get(channel) === entry) {
+      local.delete(channel);
+      const unsubscribe = await entry.ready;
+      await unsubscribe();
+    }
+  };
+};
+
+// Register a connection. `send` receives { event, data } messages.
+// Resolves to a function that disconnects it.
+const connect = async (user, send) => {
+  const leaves = [await join(userChannel(user._id), send)];
+
+  if (hasPermission(user.roles, STAFF_PERMISSION)) {
+    leaves.push(await join(STAFF_CHANNEL, send));
+  }
+
+  return async () => {
+    await Promise.all(leaves.map(leave => leave()));
+  };
+};
+
+// Publishing never throws: real-time updates are best effort
+const publish = (channel, event, data) => pubsub
+  .publish(channel, { event, data })
+  .catch(err => console.error(`Real-time publish error (${event}):`, err));
+
+const balanceChanged = async (accountId) => {
+  const account = await Account.findById(accountId).select('customer accountNumber balance currency');
+  if (!account) return;
+
+  await publish(userChannel(account.customer), 'balance.updated', {
+    accountNumber: account.accountNumber,
+    balance: account.balance,
+    currency: account.currency
+  });
+};
+
+// A transaction was recorded or changed status: tell its owner, with the
+// new balance when money moved
+const transactionChanged = async (transaction) => {
+  try {
+    if (!transaction) return;
+
+    await publish(userChannel(transaction.userId), 'transaction.updated', transactionPayload(transaction));
+
+    if (transaction.status === 'completed' && transaction.accountId) {
+      await balanceChanged(transaction.accountId);
+    }
+  } catch (error) {
+    console.error('Real-time transaction update error:', error);
+  }
+};
+
+// A transaction entered, moved within or left the approval queue.
+// action: added | proposed | declined | removed
+const approvalQueueChanged = (transaction, action) => {
+  if (!transaction) return Promise.resolve();
+
+  const { approval, risk } = transaction;
+
+  return publish(STAFF_CHANNEL, 'approval.updated', {
+    action,
+    id: transaction._id,
+    transactionId: transaction.transactionId,
+    status: transaction.status,
+    amount: transaction.amount,
+    currency: transaction.currency,
+    proposedStatus: approval ? approval.proposedStatus : undefined,
+    proposedBy: approval ? approval.proposedBy : undefined,
+    riskScore: risk ? risk.score : undefined,
+    riskDecision: risk ? risk.decision : undefined,
+    createdAt: transaction.createdAt
+  });
+};
+
+module.exports = {
+  connect,
+  transactionChanged,
+  approvalQueueChanged
+};
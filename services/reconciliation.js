@@ -0,0 +1,65 @@
+const Account = require('../models/account');
+const LedgerEntry = require('../models/ledgerEntry');
+
+// Recompute every account balance from the ledger and compare it with the
+// stored Account.balance. Also checks that the last running balance agrees
+// with the sum of postings, which catches entries going missing.
+const reconcileBalances = async () => {
+  const ledgerTotals = await LedgerEntry.aggregate([
+    { $sort: { account: 1, _id: 1 } },
+    {
+      $group: {
+        _id: '$account',
+        ledgerBalance: { $sum: '$amount' },
+        lastRunningBalance: { $last: '$balanceAfter' },
+        entryCount: { $sum: 1 }
+      }
+    }
+  ]);
+
+  const totalsByAccount = new Map(
+    ledgerTotals.map(t => [t._id.toString(), t])
+  );
+
+  const mismatches = [];
+  let accountsChecked = 0;
+
+  const cursor = Account.find({}, 'customer accountNumber currency balance').lean().cursor();
+
+  for await (const account of cursor) {
+    accountsChecked++;
+
+    const totals = totalsByAccount.get(account._id.toString()) || {
+      ledgerBalance: 0,
+      lastRunningBalance: 0,
+      entryCount: 0
+    };
+
+    const difference = account.balance - totals.ledgerBalance;
+    const runningBalanceDrift = totals.lastRunningBalance - totals.ledgerBalance;
+
+    if (difference !== 0 || runningBalanceDrift !== 0) {
+      mismatches.push({
+        accountId: account._id,
+        customer: account.customer,
+        accountNumber: account.accountNumber,
+        currency: account.currency,
+        balance: account.balance,
+        ledgerBalance: totals.ledgerBalance,
+        lastRunningBalance: totals.lastRunningBalance,
+        entryCount: totals.entryCount,
+        difference
+      });
+    }
+  }
+
+  return {
+    checkedAt: new Date(),
+    accountsChecked,
+    mismatchCount: mismatches.length,
+    balanced: mismatches.length === 0,
+    mismatches
+  };
+};
+
+module.exports = { reconcileBalances };
@@ -0,0 +1,232 @@
+const fs = require('fs');
+const Transaction = require('../models/transaction');
+const exchangeRates = require('./exchangeRates');
+
+// Rule-based scoring for outgoing transfers. Every rule that fires adds its
+// weight to the score; the total decides whether the transfer is allowed,
+// held for review or blocked. Amounts are minor units of the transfer
+// limit currency (USD).
+//
+// Override any of this with a JSON file (RISK_RULES_FILE) containing the
+// same shape; values are merged over the defaults per rule.
+const DEFAULT_CONFIG = {
+  holdScore: 40,
+  blockScore: 80,
+  rules: {
+    velocity: { enabled: true, weight: 30, windowMinutes: 10, maxTransfers: 3 },
+    newPayee: { enabled: true, weight: 20 },
+    unusualAmount: {
+      enabled: true,
+      weight: 25,
+      lookbackDays: 90,
+      minHistory: 3,
+      multiplier: 3,
+      // Used instead of the average while there is too little history
+      largeAmount: 100000
+    },
+    newIpAddress: { enabled: true, weight: 15, lookbackDays: 90 },
+    newDevice: { enabled: true, weight: 15, lookbackDays: 90 },
+    recentCredentialChange: { enabled: true, weight: 30, hours: 72 }
+  }
+};
+
+const merge = (base, overrides = {}) => ({
+  holdScore: overrides.holdScore ?? base.holdScore,
+  blockScore: overrides.blockScore ?? base.blockScore,
+  rules: Object.fromEntries(Object.entries(base.rules).map(([name, rule]) => [
+    name,
+    { ...rule, ...(overrides.rules && overrides.rules[name]) }
+  ]))
+});
+
+let fileCache = { mtime: 0, config: null };
+let configOverride = null;
+
+// Effective configuration, re-reading RISK_RULES_FILE when it changes
+const getConfig = async () => {
+  if (configOverride) return configOverride;
+
+  const filePath = process.env.RISK_RULES_FILE;
+  if (!filePath) return DEFAULT_CONFIG;
+
+  const stat = await fs.promises.stat(filePath);
+  if (!fileCache.config || stat.mtimeMs !== fileCache.mtime) {
+    const overrides = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    fileCache = { mtime: stat.mtimeMs, config: merge(DEFAULT_CONFIG, overrides) };
+  }
+
+  return fileCache.config;
+};
+
+// Replace the configuration, e.g. in tests. Pass null to go back to the
+// defaults / file.
+const setConfig = (overrides) => {
+  configOverride = overrides ? merge(DEFAULT_CONFIG, overrides) : null;
+};
+
+const daysAgo = (days, now) => new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
+
+// Transfers this customer sent to other customers
+const outgoingTransfers = (customerId) => ({
+  userId: customerId,
+  type: 'debit',
+  category: 'transfer',
+  'receiver.userId': { $ne: customerId }
+});
+
+// Each rule returns a reason when it fires, otherwise null
+const RULES = {
+  async velocity({ customer, now, session }, rule) {
+    const count = await Transaction.countDocuments({
+      ...outgoingTransfers(customer._id),
+      status: { $in: ['completed', 'pending'] },
+      createdAt: { $gte: new Date(now.getTime() - rule.windowMinutes * 60 * 1000) }
+    }).session(session);
+
+    return count >= rule.maxTransfers
+      ? `${count} transfers in the last ${rule.windowMinutes} minutes`
+      : null;
+  },
+
+  async newPayee({ customer, destination, session }) {
+    const paidBefore = await Transaction.exists({
+      ...outgoingTransfers(customer._id),
+      status: 'completed',
+      'receiver.accountNumber': destination.accountNumber
+    }).session(session);
+
+    return paidBefore ? null : 'First transfer to this payee';
+  },
+
+  async unusualAmount({ customer, limitAmount, limitCurrency, now, session }, rule) {
+    const history = await Transaction.aggregate([
+      {
+        $match: {
+          ...outgoingTransfers(customer._id),
+          status: 'completed',
+          createdAt: { $gte: daysAgo(rule.lookbackDays, now) }
+        }
+      },
+      { $group: { _id: '$currency', total: { $sum: '$amount' }, count: { $sum: 1 } } }
+    ]).session(session);
+
+    let total = 0;
+    let count = 0;
+    for (const group of history) {
+      total += (await exchangeRates.convert(group.total, group._id, limitCurrency)).amount;
+      count += group.count;
+    }
+
+    if (count < rule.minHistory) {
+      return limitAmount >= rule.largeAmount
+        ? 'Large transfer with little transfer history'
+        : null;
+    }
+
+    const average = total / count;
+    return limitAmount > average * rule.multiplier
+      ? `Amount is ${(limitAmount / average).toFixed(1)}x the recent average`
+      : null;
+  },
+
+  async newIpAddress({ customer, metadata, now, session }, rule) {
+    const ipAddress = metadata && metadata.ipAddress;
+    if (!ipAddress) return null;
+
+    const since = { $gte: daysAgo(rule.lookbackDays, now) };
+    const hasHistory = await Transaction.exists({
+      userId: customer._id,
+      'metadata.ipAddress': { $exists: true },
+      createdAt: since
+    }).session(session);
+
+    // Nothing to compare against yet
+    if (!hasHistory) return null;
+
+    const seen = await Transaction.exists({
+      userId: customer._id,
+      'metadata.ipAddress': ipAddress,
+      createdAt: since
+    }).session(session);
+
+    return seen ? null : 'Transfer from a new IP address';
+  },
+
+  async newDevice({ customer, metadata, now, session }, rule) {
+    if (!metadata) return null;
+
+    const field = metadata.deviceId ? 'deviceId' : 'userAgent';
+    const device = metadata[field];
+    if (!device) return null;
+
+    const since = { $gte: daysAgo(rule.lookbackDays, now) };
+    const hasHistory = await Transaction.exists({
+      userId: customer._id,
+      [`metadata.${field}`]: { $exists: true },
+      createdAt: since
+    }).session(session);
+
+    if (!hasHistory) return null;
+
+    const seen = await Transaction.exists({
+      userId: customer._id,
+      [`metadata.${field}`]: device,
+      createdAt: since
+    }).session(session);
+
+    return seen ? null : 'Transfer from a new device';
+  },
+
+  async recentCredentialChange({ customer, now }, rule) {
+    const since = new Date(now.getTime() - rule.hours * 60 * 60 * 1000);
+    const changed = [];
+
+    if (customer.passwordChangedAt && customer.passwordChangedAt > since) changed.push('Password');
+    if (customer.emailChangedAt && customer.emailChangedAt > since) changed.push('Email');
+
+    return changed.length
+      ? `${changed.join(' and ')} changed in the last ${rule.hours} hours`
+      : null;
+  }
+};
+
+// Score an outgoing transfer.
+//   limitAmount    transfer amount in minor units of limitCurrency
+// Resolves to { score, decision, reasons, evaluatedAt } where decision is
+// 'allow', 'review' or 'block'.
+const assess = async ({ customer, destination, limitAmount, limitCurrency, metadata, session }) => {
+  const config = await getConfig();
+  const now = new Date();
+  const context = {
+    customer,
+    destination,
+    limitAmount,
+    limitCurrency,
+    metadata,
+    session: session || null,
+    now
+  };
+
+  const reasons = [];
+  for (const [name, rule] of Object.entries(config.rules)) {
+    if (!rule.enabled || !RULES[name]) continue;
+
+    const reason = await RULES[name](context, rule);
+    if (reason) reasons.push({ rule: name, score: rule.weight, reason });
+  }
+
+  const score = reasons.reduce((sum, r) => sum + r.score, 0);
+
+  let decision = 'allow';
+  if (score >= config.blockScore) decision = 'block';
+  else if (score >= config.holdScore) decision = 'review';
+
+  return { score, decision, reasons, evaluatedAt: now };
+};
+
+module.exports = {
+  DEFAULT_CONFIG,
+  getConfig,
+  setConfig,
+  assess
+};
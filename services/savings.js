@@ -0,0 +1,240 @@
+const Account = require('../models/account');
+const SavingsGoal = require('../models/savingsGoal');
+const Transaction = require('../models/transaction');
+const { executeTransfer } = require('./transfer');
+const HttpError = require('../utils/httpError');
+const { computeNextRun } = require('../utils/recurrence');
+
+// Savings goal sweeps, run by the scheduler. Each sweep is a normal
+// internal transfer tagged with the goal, so it shows in both accounts'
+// history and goes through the same limit checks. Both accounts of a goal
+// hold the goal's currency. A sweep held for review is counted when it is
+// approved; if it is declined, its round-ups are not swept again.
+
+const LOCK_DURATION_MS = 5 * 60 * 1000;
+const BATCH_SIZE = 50;
+const DEFAULT_ROUND_TO = 100;
+
+// Payday in the month of `from`, or the next month if that has passed.
+// Short months use their last day.
+const nextPayday = (dayOfMonth, from) => {
+  const year = from.getUTCFullYear();
+  const month = from.getUTCMonth();
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  const payday = new Date(Date.UTC(year, month, Math.min(dayOfMonth, lastDay)));
+
+  return payday > from
+    ? payday
+    : computeNextRun({ frequency: 'monthly', dayOfMonth }, payday);
+};
+
+// When the goal next sweeps after `from`: round-ups daily at midnight
+// UTC, fixed amounts on payday
+const nextSweepAfter = (goal, from) => {
+  if (goal.sweep.type === 'roundup') {
+    return new Date(Date.UTC(from.getUTCFullYear(), from.getUTCMonth(), from.getUTCDate() + 1));
+  }
+  if (goal.sweep.type === 'fixed') {
+    return nextPayday(goal.sweep.dayOfMonth, from);
+  }
+  return undefined;
+};
+
+// Spare change from rounding up each completed debit of the source
+// account in (cursor, until]. Sweeps themselves are not rounded up.
+const roundUps = async (goal, until) => {
+  const roundTo = goal.sweep.roundTo || DEFAULT_ROUND_TO;
+
+  const debits = await Transaction.find({
+    accountId: goal.fromAccount,
+    type: { $in: ['debit', 'transfer'] },
+    status: 'completed',
+    savingsGoal: null,
+    completedAt: { $gt: goal.roundUpCursor || goal.createdAt, $lte: until }
+  }).select('amount');
+
+  return debits.reduce((sum, debit) => sum + (roundTo - (debit.amount % roundTo)) % roundTo, 0);
+};
+
+// Record a sweep on the goal and schedule the next one. Only matches
+// while the goal is still on the sweep that was claimed, so a sweep is
+// never recorded twice. Returns null when another worker got there first.
+const advanceGoal = (goal, now, { saved = 0, cursor, error }, session) => {
+  const savedAmount = goal.savedAmount + saved;
+  const update = {
+    $inc: { savedAmount: saved },
+    $unset: { lockedUntil: 1 }
+  };
+
+  if (saved > 0) update.lastSweepAt = now;
+  if (cursor) update.roundUpCursor = cursor;
+
+  if (error) {
+    update.lastSweepError = error;
+  } else {
+    update.$unset.lastSweepError = 1;
+  }
+
+  if (savedAmount >= goal.targetAmount) {
+    update.status = 'completed';
+    update.completedAt = now;
+    update.$unset.nextSweepAt = 1;
+  } else {
+    update.nextSweepAt = nextSweepAfter(goal, now);
+  }
+
+  return SavingsGoal.findOneAndUpdate(
+    { _id: goal._id, nextSweepAt: goal.nextSweepAt },
+    update,
+    { new: true, session }
+  );
+};
+
+// Run one claimed goal's sweep and schedule the next one. The goal is
+// updated in the same transaction as the transfer, so a crash or an
+// expired lock cannot sweep the same money twice.
+const sweepGoal = async (goal, now = new Date()) => {
+  const [from, to] = await Promise.all([
+    Account.findById(goal.fromAccount),
+    Account.findById(goal.toAccount)
+  ]);
+
+  if (!from || !to || from.status !== 'active' || to.status !== 'active') {
+    return advanceGoal(goal, now, { error: 'Source or savings account is not active' });
+  }
+
+  // A held sweep is counted when approved; sweeping meanwhile would pile
+  // up more held transfers for the same money. Round-ups roll over.
+  if (await Transaction.exists({ savingsGoal: goal._id, status: 'pending' })) {
+    return advanceGoal(goal, now, { error: 'Waiting for a previous sweep to be reviewed' });
+  }
+
+  let amount = goal.sweep.type === 'roundup'
+    ? await roundUps(goal, now)
+    : goal.sweep.amount;
+
+  // Never save past the target
+  amount = Math.min(amount, goal.targetAmount - goal.savedAmount);
+  const cursor = goal.sweep.type === 'roundup' ? now : undefined;
+
+  if (amount <= 0) {
+    return advanceGoal(goal, now, { cursor });
+  }
+
+  let overtaken = false;
+
+  try {
+    await executeTransfer({
+      customerId: goal.customer,
+      fromAccount: from.accountNumber,
+      toAccount: to.accountNumber,
+      amount,
+      description: `Savings: ${goal.name}`,
+      savingsGoal: goal._id,
+      beforeCommit: async ({ debit, credit }, session) => {
+        // Held sweeps are counted by approval.settle; blocked ones not at all
+        const outcome = debit.status === 'failed'
+          ? { error: 'Sweep declined by risk checks' }
+          : { saved: credit ? credit.amount : 0, cursor };
+
+        if (!await advanceGoal(goal, now, outcome, session)) {
+          overtaken = true;
+          throw new HttpError(409, 'Savings goal was swept by another worker');
+        }
+      }
+    });
+  } catch (error) {
+    if (overtaken) return null;
+
+    if (!error.status) {
+      console.error(`Savings goal ${goal._id} sweep error:`, error);
+    }
+    // Round-ups not swept roll into the next sweep
+    return advanceGoal(goal, now, {
+      error: error.status ? error.message : 'Server error processing sweep'
+    });
+  }
+};
+
+// Count an approved held sweep towards its goal. Runs inside the
+// approval's MongoDB session; `amount` is what reached the savings account.
+const settleHeldSweep = async (transaction, amount, session) => {
+  const goal = await SavingsGoal.findById(transaction.savingsGoal).session(session);
+
+  if (!goal) return;
+
+  goal.savedAmount += amount;
+
+  if (goal.status !== 'cancelled' && goal.savedAmount >= goal.targetAmount) {
+    goal.status = 'completed';
+    goal.completedAt = new Date();
+    goal.nextSweepAt = undefined;
+  }
+
+  await goal.save({ session });
+};
+
+// Pick up every goal due a sweep. Goals are claimed with a short lock
+// first so several server instances can run this safely.
+const runSweeps = async (now = new Date()) => {
+  let processed = 0;
+
+  while (processed < BATCH_SIZE) {
+    const goal = await SavingsGoal.findOneAndUpdate(
+      {
+        status: 'active',
+        nextSweepAt: { $lte: now },
+        $or: [
+          { lockedUntil: null },
+          { lockedUntil: { $lte: now } }
+        ]
+      },
+      { lockedUntil: new Date(Date.now() + LOCK_DURATION_MS) },
+      { new: true, sort: { nextSweepAt: 1 } }
+    );
+
+    if (!goal) break;
+
+    // One bad goal must not stop the batch; its lock expires and it is
+    // retried
+    try {
+      await sweepGoal(goal, now);
+    } catch (error) {
+      console.error(`Savings goal ${goal._id} sweep error:`, error);
+    }
+    processed++;
+  }
+
+  return processed;
+};
+
+// A goal with its progress. For fixed sweeps, also when the target will
+// be reached at the current rate.
+const getGoalProgress = (goal) => {
+  const remaining = Math.max(goal.targetAmount - goal.savedAmount, 0);
+  const progress = {
+    ...goal.toJSON(),
+    remaining,
+    ratio: Math.round((Math.min(goal.savedAmount, goal.targetAmount) / goal.targetAmount) * 10000) / 10000
+  };
+
+  if (goal.status === 'active' && goal.sweep.type === 'fixed' && goal.nextSweepAt && remaining > 0) {
+    const sweepsLeft = Math.ceil(remaining / goal.sweep.amount);
+    const projected = sweepsLeft > 1
+      ? computeNextRun({ frequency: 'monthly', interval: sweepsLeft - 1, dayOfMonth: goal.sweep.dayOfMonth }, goal.nextSweepAt)
+      : goal.nextSweepAt;
+
+    progress.projectedCompletionAt = projected;
+    if (goal.targetDate) progress.onTrack = projected <= goal.targetDate;
+  }
+
+  delete progress.lockedUntil;
+  return progress;
+};
+
+module.exports = {
+  nextSweepAfter,
+  runSweeps,
+  settleHeldSweep,
+  getGoalProgress
+};
@@ -0,0 +1,240 @@
+const StandingOrder = require('../models/standingOrder');
+const User = require('../models/user');
+const Account = require('../models/account');
+const Transaction = require('../models/transaction');
+const { executeTransfer } = require('./transfer');
+const { generateMonthlyStatements } = require('./statements');
+const notifications = require('./notifications');
+const webhooks = require('./webhooks');
+const realtime = require('./realtime');
+const savings = require('./savings');
+const HttpError = require('../utils/httpError');
+const { computeNextRun, isWithinLimits } = require('../utils/recurrence');
+
+const LOCK_DURATION_MS = 5 * 60 * 1000;
+const BATCH_SIZE = 50;
+
+let timer = null;
+
+// Keep a record of a run that could not be completed so it shows up in the
+// customer's transaction history
+const recordFailedRun = async (order, reason) => {
+  const [user, account] = await Promise.all([
+    User.findById(order.userId),
+    Account.findOwned(order.userId, order.fromAccount)
+  ]);
+
+  const transaction = await Transaction.create({
+    userId: order.userId,
+    accountId: account ? account._id : undefined,
+    transactionId: Transaction.generateTransactionId(),
+    type: 'debit',
+    amount: order.amount,
+    currency: order.currency,
+    netAmount: order.amount,
+    description: order.description || `Scheduled transfer to ${order.toAccount}`,
+    status: 'failed',
+    category: 'transfer',
+    sender: {
+      userId: order.userId,
+      accountId: account ? account._id : undefined,
+      name: user ? user.name : undefined,
+      accountNumber: order.fromAccount
+    },
+    receiver: {
+      name: order.recipientName,
+      accountNumber: order.toAccount
+    },
+    notes: reason,
+    standingOrder: order._id,
+    scheduledFor: order.nextRunAt
+  });
+
+  notifications.notifyTransaction(transaction);
+  webhooks.transactionCreated(transaction);
+  realtime.transactionChanged(transaction);
+};
+
+// Move an order on past the run at `scheduledFor` and release it. Only
+// matches while the order is still on that run, so a run is never
+// recorded twice. Returns null when another worker got there first.
+const advanceOrder = (order, scheduledFor, run, session) => {
+  const occurrences = order.occurrences + 1;
+  const nextRunAt = computeNextRun(order.schedule, scheduledFor);
+  const update = {
+    occurrences,
+    lastRunAt: new Date(),
+    lastRunStatus: run.status,
+    $unset: { lockedUntil: 1 }
+  };
+
+  if (run.error) {
+    update.lastError = run.error;
+  } else {
+    update.$unset.lastError = 1;
+  }
+
+  if (isWithinLimits({ ...order.toObject(), occurrences }, nextRunAt)) {
+    update.nextRunAt = nextRunAt;
+  } else {
+    update.status = 'completed';
+    update.$unset.nextRunAt = 1;
+  }
+
+  return StandingOrder.findOneAndUpdate(
+    { _id: order._id, nextRunAt: scheduledFor },
+    update,
+    { new: true, session }
+  );
+};
+
+// Runs held or blocked by the risk engine are already recorded
+const runOutcome = (debit) => {
+  if (debit.status === 'completed') return { status: 'completed' };
+  if (debit.status === 'pending') return { status: 'held' };
+  return { status: 'failed', error: 'Transfer declined by risk checks' };
+};
+
+// Execute one due order and move it on to its next run. The order is
+// advanced in the same transaction as the transfer, so a crash or an
+// expired lock cannot pay the same run twice.
+const runOrder = async (order) => {
+  const scheduledFor = order.nextRunAt;
+  let overtaken = false;
+
+  try {
+    await executeTransfer({
+      customerId: order.userId,
+      fromAccount: order.fromAccount,
+      toAccount: order.toAccount,
+      amount: order.amount,
+      description: order.description,
+      metadata: order.metadata,
+      standingOrder: order._id,
+      scheduledFor,
+      beforeCommit: async ({ debit }, session) => {
+        if (!await advanceOrder(order, scheduledFor, runOutcome(debit), session)) {
+          overtaken = true;
+          throw new HttpError(409, 'Standing order was run by another worker');
+        }
+      }
+    });
+  } catch (error) {
+    if (overtaken) return;
+
+    // Recorded by an earlier attempt that stopped before moving the order
+    // on; catch up without paying again
+    if (error.status === 409) {
+      const recorded = await Transaction.findOne({ standingOrder: order._id, scheduledFor });
+      await advanceOrder(order, scheduledFor, recorded.status === 'failed'
+        ? { status: 'failed', error: recorded.notes }
+        : runOutcome(recorded));
+      return;
+    }
+
+    if (!error.status) {
+      console.error(`Standing order ${order._id} error:`, error);
+    }
+
+    const reason = error.status ? error.message : 'Server error processing transfer';
+
+    try {
+      await recordFailedRun(order, reason);
+    } catch (recordError) {
+      console.error(`Standing order ${order._id} failed run not recorded:`, recordError);
+    }
+
+    await advanceOrder(order, scheduledFor, { status: 'failed', error: reason });
+  }
+};
+
+// Pick up every due order and run it. Each order is claimed with a short
+// lock first so several server instances can run the scheduler safely.
+const runDueTransfers = async (now = new Date()) => {
+  let processed = 0;
+
+  while (processed < BATCH_SIZE) {
+    const order = await StandingOrder.findOneAndUpdate(
+      {
+        status: 'active',
+        nextRunAt: { $lte: now },
+        $or: [
+          { lockedUntil: { $exists: false } },
+          { lockedUntil: null },
+          { lockedUntil: { $lte: now } }
+        ]
+      },
+      { lockedUntil: new Date(Date.now() + LOCK_DURATION_MS) },
+      { new: true, sort: { nextRunAt: 1 } }
+    );
+
+    if (!order) break;
+
+    // One bad order must not stop the batch; its lock expires and it is
+    // retried
+    try {
+      await runOrder(order);
+    } catch (error) {
+      console.error(`Standing order ${order._id} error:`, error);
+    }
+    processed++;
+  }
+
+  return processed;
+};
+
+// Poll for due orders and savings sweeps, statements to archive and
+// deliveries to retry.
+// Interval is configurable via SCHEDULER_INTERVAL_MS.
+const startScheduler = () => {
+  if (timer) return;
+
+  const intervalMs = parseInt(process.env.SCHEDULER_INTERVAL_MS) || 60 * 1000;
+  let running = false;
+
+  timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+
+    try {
+      await runDueTransfers();
+    } catch (error) {
+      console.error('Scheduler error:', error);
+    }
+
+    // Savings goal round-ups and payday sweeps
+    try {
+      await savings.runSweeps();
+    } catch (error) {
+      console.error('Savings sweep error:', error);
+    }
+
+    // Archives last month's statements once per month
+    try {
+      await generateMonthlyStatements();
+    } catch (error) {
+      console.error('Statement archive error:', error);
+    }
+
+    // Retries notifications and webhooks whose delivery failed
+    try {
+      await notifications.processQueue();
+      await webhooks.processQueue();
+    } catch (error) {
+      console.error('Delivery queue error:', error);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+};
+
+const stopScheduler = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  runDueTransfers,
+  startScheduler,
+  stopScheduler
+};
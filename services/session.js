@@ -0,0 +1,136 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/session');
+const HttpError = require('../utils/httpError');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const EVENTS_TOKEN_TTL = process.env.EVENTS_TOKEN_TTL || '60s';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const signAccessToken = (userId, sessionId) => jwt.sign(
+  { userId, sid: sessionId },
+  process.env.JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+// Short-lived token for opening the event stream, which has to take it
+// in the URL. `until` is when the access token it was issued for
+// expires, and with it the stream.
+const signEventsToken = (userId, sessionId, until) => jwt.sign(
+  { userId, sid: sessionId, purpose: 'events', until },
+  process.env.JWT_SECRET,
+  { expiresIn: EVENTS_TOKEN_TTL }
+);
+
+// Refresh tokens are "<sessionId>.<random secret>"
+const newRefreshSecret = () => crypto.randomBytes(32).toString('base64url');
+
+// Start a session for a device after a successful login
+const createSession = async (user, req) => {
+  const secret = newRefreshSecret();
+
+  const session = new Session({
+    userId: user._id,
+    refreshTokenHash: hashToken(secret),
+    userAgent: req.headers['user-agent'],
+    ipAddress: req.ip,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+  });
+
+  await session.save();
+
+  return {
+    session,
+    accessToken: signAccessToken(user._id, session._id),
+    refreshToken: `${session._id}.${secret}`
+  };
+};
+
+// Exchange a refresh token for a new access/refresh pair
+const rotateSession = async (refreshToken, req) => {
+  const [sessionId, secret] = String(refreshToken).split('.');
+
+  const session = sessionId && secret && /^[a-f0-9]{24}$/.test(sessionId)
+    ? await Session.findById(sessionId)
+    : null;
+
+  if (!session || !session.isActive()) {
+    throw new HttpError(401, 'Refresh token is invalid or has expired');
+  }
+
+  const nextSecret = newRefreshSecret();
+
+  // Swap the hash only if the presented token is still the current one
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: hashToken(secret), revokedAt: null },
+    {
+      refreshTokenHash: hashToken(nextSecret),
+      lastUsedAt: new Date(),
+      userAgent: req.headers['user-agent'],
+      ipAddress: req.ip
+    },
+    { new: true }
+  );
+
+  if (!rotated) {
+    // An old token was replayed: assume it leaked and kill the session
+    await revokeSession(session._id, 'token_reuse');
+    throw new HttpError(401, 'Refresh token has already been used. Please sign in again.');
+  }
+
+  return {
+    session: rotated,
+    accessToken: signAccessToken(rotated.userId, rotated._id),
+    refreshToken: `${rotated._id}.${nextSecret}`
+  };
+};
+
+const revokeSession = (sessionId, reason, userId) => Session.updateOne(
+  { _id: sessionId, revokedAt: null, ...(userId && { userId }) },
+  { revokedAt: new Date(), revokedReason: reason }
+);
+
+// Revoke every session of a user, optionally keeping the current one
+const revokeAllSessions = (userId, reason, exceptSessionId) => Session.updateMany(
+  {
+    userId,
+    revokedAt: null,
+    ...(exceptSessionId && { _id: { $ne: exceptSessionId } })
+  },
+  { revokedAt: new Date(), revokedReason: reason }
+);
+
+const listActiveSessions = (userId) => Session.find({
+  userId,
+  revokedAt: null,
+  expiresAt: { $gt: new Date() }
+}).sort({ lastUsedAt: -1 });
+
+// A sign-in from a browser/app the user has not used before. The very
+// first session is not "new": there is nothing to compare it with.
+const isNewDevice = async (session) => {
+  const others = await Session.find({
+    userId: session.userId,
+    _id: { $ne: session._id }
+  }).select('userAgent');
+
+  return others.length > 0 && !others.some(other => other.userAgent === session.userAgent);
+};
+
+const isSessionActive = async (sessionId) => {
+  const session = await Session.findById(sessionId);
+  return Boolean(session && session.isActive());
+};
+
+module.exports = {
+  createSession,
+  signEventsToken,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  listActiveSessions,
+  isNewDevice,
+  isSessionActive
+};
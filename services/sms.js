@@ -0,0 +1,48 @@
+const fs = require('fs');
+
+// Outgoing SMS. A real provider can be plugged in with setTransport; any
+// object with an async send({ to, body }) works. Built-in transports:
+//  - console (default): prints messages, for development
+//  - file: appends JSON lines to SMS_FILE, so tests can read them back
+
+const createConsoleTransport = () => ({
+  name: 'console',
+  async send({ to, body }) {
+    console.log(`SMS to ${to}: ${body}`);
+  }
+});
+
+const createFileTransport = (filePath) => ({
+  name: 'file',
+  async send({ to, body }) {
+    const line = JSON.stringify({ to, body, sentAt: new Date().toISOString() });
+    await fs.promises.appendFile(filePath, `${line}\n`);
+  }
+});
+
+const createDefaultTransport = () => {
+  if (process.env.SMS_TRANSPORT === 'file' && process.env.SMS_FILE) {
+    return createFileTransport(process.env.SMS_FILE);
+  }
+  return createConsoleTransport();
+};
+
+let transport = null;
+
+const getTransport = () => {
+  if (!transport) transport = createDefaultTransport();
+  return transport;
+};
+
+const setTransport = (newTransport) => {
+  transport = newTransport;
+};
+
+const sendSms = (to, body) => getTransport().send({ to, body });
+
+module.exports = {
+  createConsoleTransport,
+  createFileTransport,
+  setTransport,
+  sendSms
+};
@@ -0,0 +1,300 @@
+const Account = require('../models/account');
+const User = require('../models/user');
+const LedgerEntry = require('../models/ledgerEntry');
+const Statement = require('../models/statement');
+const { toDecimalString } = require('../utils/money');
+const { createDocument } = require('../utils/pdf');
+const { getBalanceAt } = require('./ledger');
+
+// Bank details printed on statements and exports
+const getBank = () => ({
+  name: process.env.BANK_NAME || 'Online Banking',
+  address: process.env.BANK_ADDRESS || '',
+  routingNumber: process.env.BANK_ROUTING_NUMBER || '000000000'
+});
+
+// Statement data for an account over [start, end). Built from the ledger,
+// so the opening balance is the running balance after the last entry
+// before `start` and every line carries the balance after it.
+const buildStatement = async (account, { start, end }) => {
+  const customer = await User.findById(account.customer).select('name email address');
+
+  const entries = await LedgerEntry.find({
+    account: account._id,
+    createdAt: { $gte: start, $lt: end }
+  })
+    .sort({ _id: 1 })
+    .populate('transaction', 'transactionId description category');
+
+  const openingBalance = await getBalanceAt(account._id, start);
+
+  const lines = entries.map(entry => ({
+    date: entry.createdAt,
+    description: (entry.transaction && entry.transaction.description) || entry.description || '',
+    reference: entry.transaction ? entry.transaction.transactionId : '',
+    moneyIn: entry.amount > 0 ? entry.amount : 0,
+    moneyOut: entry.amount < 0 ? -entry.amount : 0,
+    balance: entry.balanceAfter
+  }));
+
+  return {
+    bank: getBank(),
+    customer: {
+      name: customer ? customer.name : '',
+      address: customer && customer.address
+        ? [customer.address.street, customer.address.city, customer.address.state, customer.address.zipCode, customer.address.country]
+          .filter(Boolean).join(', ')
+        : ''
+    },
+    account: {
+      accountNumber: account.accountNumber,
+      accountType: account.accountType,
+      currency: account.currency,
+      nickname: account.nickname
+    },
+    period: { start, end },
+    openingBalance,
+    closingBalance: lines.length ? lines[lines.length - 1].balance : openingBalance,
+    totalIn: lines.reduce((sum, line) => sum + line.moneyIn, 0),
+    totalOut: lines.reduce((sum, line) => sum + line.moneyOut, 0),
+    lines,
+    generatedAt: new Date()
+  };
+};
+
+const isoDate = (date) => date.toISOString().slice(0, 10);
+
+// Last day covered, for display (the period end is exclusive)
+const lastDay = (period) => isoDate(new Date(period.end.getTime() - 1));
+
+// Text starting with = + - @ (or a tab or carriage return) would run as
+// a formula in a spreadsheet, so it is prefixed with ' to keep it text.
+// Plain numbers such as negative amounts are left alone.
+const csvField = (value) => {
+  let text = String(value === undefined || value === null ? '' : value);
+
+  if (/^[=+\-@\t\r]/.test(text) && !/^[+-]?\d+(\.\d+)?$/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const renderCsv = (statement) => {
+  const { currency } = statement.account;
+  const money = (amount) => (amount ? toDecimalString(amount, currency) : '');
+
+  const rows = [
+    [statement.bank.name],
+    ['Account holder', statement.customer.name],
+    ['Account number', statement.account.accountNumber],
+    ['Currency', currency],
+    ['Period', isoDate(statement.period.start), lastDay(statement.period)],
+    ['Opening balance', toDecimalString(statement.openingBalance, currency)],
+    [],
+    ['Date', 'Description', 'Reference', 'Money in', 'Money out', 'Balance'],
+    ...statement.lines.map(line => [
+      isoDate(line.date),
+      line.description,
+      line.reference,
+      money(line.moneyIn),
+      money(line.moneyOut),
+      toDecimalString(line.balance, currency)
+    ]),
+    [],
+    ['Total money in', toDecimalString(statement.totalIn, currency)],
+    ['Total money out', toDecimalString(statement.totalOut, currency)],
+    ['Closing balance', toDecimalString(statement.closingBalance, currency)]
+  ];
+
+  return rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+};
+
+const truncate = (text, length) => (text.length > length ? `${text.slice(0, length - 3)}...` : text);
+
+// Column positions on an A4 page
+const COLUMNS = { date: 40, description: 105, reference: 300, moneyIn: 425, moneyOut: 490, balance: 555 };
+const ROW_HEIGHT = 14;
+const BOTTOM_MARGIN = 60;
+
+const renderPdf = (statement) => {
+  const doc = createDocument();
+  const { currency } = statement.account;
+  const money = (amount) => toDecimalString(amount, currency);
+
+  let page;
+  let y;
+
+  const tableHeader = () => {
+    page.text('Date', COLUMNS.date, y, { size: 9, font: 'bold' });
+    page.text('Description', COLUMNS.description, y, { size: 9, font: 'bold' });
+    page.text('Reference', COLUMNS.reference, y, { size: 9, font: 'bold' });
+    page.text('Money in', COLUMNS.moneyIn - 40, y, { size: 9, font: 'bold' });
+    page.text('Money out', COLUMNS.moneyOut - 45, y, { size: 9, font: 'bold' });
+    page.text('Balance', COLUMNS.balance - 35, y, { size: 9, font: 'bold' });
+    page.line(COLUMNS.date, y - 4, COLUMNS.balance, y - 4);
+    y -= ROW_HEIGHT + 2;
+  };
+
+  const newPage = () => {
+    page = doc.addPage();
+    y = doc.height - 50;
+    page.text(statement.bank.name, COLUMNS.date, y, { size: 10, font: 'bold' });
+    page.text(`Statement for ${statement.account.accountNumber}`, 400, y, { size: 9 });
+    y -= 30;
+    tableHeader();
+  };
+
+  // First page header
+  page = doc.addPage();
+  y = doc.height - 60;
+  page.text(statement.bank.name, COLUMNS.date, y, { size: 18, font: 'bold' });
+  if (statement.bank.address) {
+    page.text(statement.bank.address, COLUMNS.date, y - 16, { size: 9 });
+  }
+  page.text('Account statement', 400, y, { size: 14, font: 'bold' });
+  y -= 50;
+
+  page.text(statement.customer.name, COLUMNS.date, y, { size: 11, font: 'bold' });
+  if (statement.customer.address) {
+    page.text(statement.customer.address, COLUMNS.date, y - 14, { size: 9 });
+  }
+
+  const details = [
+    ['Account', statement.account.accountNumber],
+    ['Type', statement.account.accountType],
+    ['Currency', currency],
+    ['Period', `${isoDate(statement.period.start)} to ${lastDay(statement.period)}`]
+  ];
+  details.forEach(([label, value], i) => {
+    page.text(label, 340, y - i * 14, { size: 9, font: 'bold' });
+    page.text(value, 400, y - i * 14, { size: 9 });
+  });
+  y -= details.length * 14 + 20;
+
+  // Summary
+  const summary = [
+    ['Opening balance', statement.openingBalance],
+    ['Money in', statement.totalIn],
+    ['Money out', statement.totalOut],
+    ['Closing balance', statement.closingBalance]
+  ];
+  page.line(COLUMNS.date, y + 10, COLUMNS.balance, y + 10);
+  summary.forEach(([label, amount]) => {
+    page.text(label, COLUMNS.date, y, { size: 10, font: 'bold' });
+    page.textRight(money(amount), COLUMNS.balance, y, { size: 10 });
+    y -= ROW_HEIGHT;
+  });
+  page.line(COLUMNS.date, y + 8, COLUMNS.balance, y + 8);
+  y -= 20;
+
+  tableHeader();
+
+  page.text(isoDate(statement.period.start), COLUMNS.date, y, { size: 8 });
+  page.text('Opening balance', COLUMNS.description, y, { size: 8 });
+  page.textRight(money(statement.openingBalance), COLUMNS.balance, y, { size: 8 });
+  y -= ROW_HEIGHT;
+
+  for (const line of statement.lines) {
+    if (y < BOTTOM_MARGIN) newPage();
+
+    page.text(isoDate(line.date), COLUMNS.date, y, { size: 8 });
+    page.text(truncate(line.description, 42), COLUMNS.description, y, { size: 8 });
+    page.text(line.reference, COLUMNS.reference, y, { size: 8 });
+    if (line.moneyIn) page.textRight(money(line.moneyIn), COLUMNS.moneyIn, y, { size: 8 });
+    if (line.moneyOut) page.textRight(money(line.moneyOut), COLUMNS.moneyOut, y, { size: 8 });
+    page.textRight(money(line.balance), COLUMNS.balance, y, { size: 8 });
+    y -= ROW_HEIGHT;
+  }
+
+  if (y < BOTTOM_MARGIN + ROW_HEIGHT * 2) newPage();
+
+  page.line(COLUMNS.date, y + 8, COLUMNS.balance, y + 8);
+  page.text('Totals', COLUMNS.description, y - 2, { size: 8, font: 'bold' });
+  page.textRight(money(statement.totalIn), COLUMNS.moneyIn, y - 2, { size: 8 });
+  page.textRight(money(statement.totalOut), COLUMNS.moneyOut, y - 2, { size: 8 });
+  page.textRight(money(statement.closingBalance), COLUMNS.balance, y - 2, { size: 8 });
+
+  // Footers once the page count is known
+  doc.pages.forEach((p, i) => {
+    p.text(`Page ${i + 1} of ${doc.pages.length}`, COLUMNS.balance - 60, 30, { size: 8 });
+    p.text(`Generated ${statement.generatedAt.toISOString()}`, COLUMNS.date, 30, { size: 8 });
+  });
+
+  return doc.toBuffer();
+};
+
+// First day of the month before `now`, and of the month of `now`, in UTC
+const previousMonth = (now = new Date()) => ({
+  start: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - 1, 1)),
+  end: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1))
+});
+
+// Build, render and store the statement for one account and month.
+// Resolves to null if it already exists.
+const archiveStatement = async (account, period) => {
+  const statement = await buildStatement(account, period);
+
+  try {
+    return await Statement.create({
+      account: account._id,
+      customer: account.customer,
+      accountNumber: account.accountNumber,
+      currency: account.currency,
+      periodStart: period.start,
+      periodEnd: period.end,
+      openingBalance: statement.openingBalance,
+      closingBalance: statement.closingBalance,
+      totalIn: statement.totalIn,
+      totalOut: statement.totalOut,
+      lineCount: statement.lines.length,
+      pdf: renderPdf(statement),
+      csv: renderCsv(statement),
+      generatedAt: statement.generatedAt
+    });
+  } catch (error) {
+    // Another instance archived it first
+    if (error.code === 11000) return null;
+    throw error;
+  }
+};
+
+let lastArchivedPeriod = null;
+
+// Archive last month's statement for every account open during it.
+// Cheap to call repeatedly: once a month is done this process skips it.
+const generateMonthlyStatements = async (now = new Date()) => {
+  const period = previousMonth(now);
+
+  if (lastArchivedPeriod && lastArchivedPeriod.getTime() === period.start.getTime()) {
+    return 0;
+  }
+
+  const accounts = Account.find({
+    createdAt: { $lt: period.end },
+    $or: [
+      { status: { $ne: 'closed' } },
+      { closedAt: { $gte: period.start } }
+    ]
+  }).cursor();
+
+  let generated = 0;
+  for await (const account of accounts) {
+    const done = await Statement.exists({ account: account._id, periodStart: period.start });
+    if (done) continue;
+
+    if (await archiveStatement(account, period)) generated++;
+  }
+
+  lastArchivedPeriod = period.start;
+  return generated;
+};
+
+module.exports = {
+  getBank,
+  buildStatement,
+  renderCsv,
+  renderPdf,
+  archiveStatement,
+  generateMonthlyStatements
+};
@@ -0,0 +1,330 @@
+const mongoose = require('mongoose');
+const User = require('../models/user');
+const Account = require('../models/account');
+const Transaction = require('../models/transaction');
+const HttpError = require('../utils/httpError');
+const ledger = require('./ledger');
+const exchangeRates = require('./exchangeRates');
+const { assertCanTransfer } = require('./verification');
+const riskEngine = require('./risk');
+const limits = require('./limits');
+const payees = require('./payees');
+const notifications = require('./notifications');
+const webhooks = require('./webhooks');
+const realtime = require('./realtime');
+const budgets = require('./budgets');
+
+const { LIMIT_CURRENCY } = limits;
+
+// Move money from one account to another.
+// Both balance updates and the paired debit/credit records are written in
+// a single MongoDB transaction, so either everything commits or nothing
+// does. Requires MongoDB running as a replica set.
+// Limits and fees come from the source account's limit policy (see
+// services/limits.js). Transfers between two accounts of the same customer
+// are internal: they are free and only count towards withdrawal limits.
+// `amount` is in minor units of the source account currency. When the
+// destination holds another currency the amount is converted and the FX
+// details are recorded on both legs.
+// Transfers to other customers are scored by the risk engine. When the
+// decision is 'review' or 'block' only a pending or failed debit is
+// recorded and `credit` is null; check `debit.status`.
+// A standing order run (`standingOrder` with `scheduledFor`) is refused
+// with 409 when a record for it already exists. `beforeCommit(result,
+// session)` runs inside the transaction, so callers can update their own
+// state atomically with the transfer; it may run more than once if the
+// transaction is retried.
+const executeTransfer = async ({
+  customerId,
+  fromAccount,
+  toAccount,
+  amount,
+  description,
+  metadata,
+  standingOrder,
+  savingsGoal,
+  scheduledFor,
+  beforeCommit
+}) => {
+  const session = await mongoose.startSession();
+  let result;
+
+  try {
+    await session.withTransaction(async () => {
+      if (standingOrder && scheduledFor) {
+        const alreadyRun = await Transaction.exists({ standingOrder, scheduledFor }).session(session);
+
+        if (alreadyRun) {
+          throw new HttpError(409, 'This standing order run has already been processed');
+        }
+      }
+
+      const customer = await User.findById(customerId).session(session);
+
+      if (!customer || customer.status !== 'active') {
+        throw new HttpError(403, 'Account is not active');
+      }
+
+      assertCanTransfer(customer);
+
+      const source = await Account.findOwned(customer._id, fromAccount).session(session);
+
+      if (!source) {
+        throw new HttpError(404, 'Source account not found');
+      }
+
+      if (source.status !== 'active') {
+        throw new HttpError(400, 'Source account is not active');
+      }
+
+      if (toAccount === source.accountNumber) {
+        throw new HttpError(400, 'Cannot transfer to the same account');
+      }
+
+      // Find recipient
+      const destination = await Account.findOne({ accountNumber: toAccount }).session(session);
+
+      if (!destination) {
+        throw new HttpError(404, 'Recipient account not found');
+      }
+
+      if (destination.status !== 'active') {
+        throw new HttpError(400, 'Recipient account is not active');
+      }
+
+      const isInternal = destination.customer.equals(customer._id);
+      const recipient = isInternal
+        ? customer
+        : await User.findById(destination.customer).session(session);
+
+      if (!recipient || recipient.status !== 'active') {
+        throw new HttpError(400, 'Recipient account is not active');
+      }
+
+      // Check the account's limits and score the transfer for fraud risk
+      const { amount: limitAmount } = await exchangeRates.convert(amount, source.currency, LIMIT_CURRENCY);
+      const policy = await limits.assertWithinLimits({
+        account: source,
+        limitAmount,
+        isInternal,
+        session
+      });
+
+      let risk;
+      let payee;
+      if (!isInternal) {
+        // Only established payees are exempt from the cooling-off cap
+        payee = await payees.assertCoolingOffLimit({
+          customer,
+          destination,
+          limitAmount,
+          session
+        });
+
+        risk = await riskEngine.assess({
+          customer,
+          destination,
+          limitAmount,
+          limitCurrency: LIMIT_CURRENCY,
+          metadata,
+          session
+        });
+      }
+
+      // Calculate fees
+      const transferFee = isInternal
+        ? 0
+        : await limits.calculateFee(policy.fee, amount, source.currency);
+
+      if (amount <= transferFee) {
+        throw new HttpError(400, 'Amount does not cover the transfer fee');
+      }
+
+      // Convert when the accounts hold different currencies
+      let fx;
+      let creditAmount = amount - transferFee;
+
+      if (source.currency !== destination.currency) {
+        fx = await exchangeRates.quote(amount - transferFee, source.currency, destination.currency);
+        creditAmount = fx.targetAmount;
+
+        if (creditAmount < 1) {
+          throw new HttpError(400, 'Amount is too small to convert');
+        }
+      }
+
+      const fees = transferFee + (fx ? fx.spreadFee : 0);
+      const netAmount = amount - fees;
+
+      // Paired transaction records
+      const parties = {
+        sender: {
+          userId: customer._id,
+          accountId: source._id,
+          name: customer.name,
+          accountNumber: source.accountNumber
+        },
+        receiver: {
+          userId: recipient._id,
+          accountId: destination._id,
+          name: recipient.name,
+          accountNumber: destination.accountNumber
+        }
+      };
+
+      const debitRecord = {
+        userId: customer._id,
+        accountId: source._id,
+        transactionId: Transaction.generateTransactionId(),
+        type: 'debit',
+        amount,
+        currency: source.currency,
+        netAmount,
+        fees,
+        fx,
+        description: description || `Transfer to account ${toAccount}`,
+        category: 'transfer',
+        ...parties,
+        payee: payee ? payee._id : undefined,
+        metadata,
+        risk,
+        standingOrder,
+        savingsGoal,
+        scheduledFor
+      };
+
+      // Held transfers wait in the approval queue and move no money until
+      // approved; blocked transfers are only recorded
+      if (risk && risk.decision !== 'allow') {
+        if (risk.decision === 'review' && source.balance < amount) {
+          throw new HttpError(400, 'Insufficient funds');
+        }
+
+        const [debit] = await Transaction.create([{
+          ...debitRecord,
+          status: risk.decision === 'review' ? 'pending' : 'failed',
+          notes: risk.decision === 'review' ? 'Held for risk review' : 'Blocked by risk checks'
+        }], { session });
+
+        result = {
+          debit,
+          credit: null,
+          newBalance: source.balance
+        };
+        if (beforeCommit) await beforeCommit(result, session);
+        return;
+      }
+
+      const completedAt = new Date();
+      const debitId = new mongoose.Types.ObjectId();
+      const creditId = new mongoose.Types.ObjectId();
+
+      // Debit sender, guarding against a concurrent overdraft
+      const updatedSource = await ledger.post({
+        accountId: source._id,
+        amount: -amount,
+        transaction: debitId,
+        description: `Transfer to ${destination.accountNumber}`,
+        session,
+        requireFunds: true
+      });
+
+      if (!updatedSource) {
+        throw new HttpError(400, 'Insufficient funds');
+      }
+
+      // Credit recipient
+      await ledger.post({
+        accountId: destination._id,
+        amount: creditAmount,
+        transaction: creditId,
+        description: `Transfer from ${source.accountNumber}`,
+        session
+      });
+
+      const [debit, credit] = await Transaction.insertMany([
+        {
+          ...debitRecord,
+          _id: debitId,
+          status: 'completed',
+          linkedTransaction: creditId,
+          completedAt
+        },
+        {
+          _id: creditId,
+          userId: recipient._id,
+          accountId: destination._id,
+          transactionId: Transaction.generateTransactionId(),
+          type: 'credit',
+          amount: creditAmount,
+          currency: destination.currency,
+          netAmount: creditAmount,
+          fees: 0,
+          fx,
+          description: `Transfer from ${customer.name} (${source.accountNumber})`,
+          status: 'completed',
+          category: 'transfer',
+          ...parties,
+          linkedTransaction: debitId,
+          savingsGoal,
+          completedAt
+        }
+      ], { session });
+
+      if (payee) {
+        payee.lastUsedAt = completedAt;
+        await payee.save({ session });
+      }
+
+      result = {
+        debit,
+        credit,
+        newBalance: updatedSource.balance
+      };
+      if (beforeCommit) await beforeCommit(result, session);
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  // Sent once committed; held transfers are notified when decided
+  notifications.notifyTransaction(result.debit);
+  notifications.notifyTransaction(result.credit);
+  webhooks.transactionCreated(result.debit);
+  webhooks.transactionCreated(result.credit);
+  realtime.transactionChanged(result.debit);
+  realtime.transactionChanged(result.credit);
+  if (result.debit.status === 'pending') {
+    realtime.approvalQueueChanged(result.debit, 'added');
+  }
+  if (result.debit.status === 'completed') {
+    budgets.checkBudgets(result.debit.userId, result.debit);
+  }
+
+  return result;
+};
+
+// Throw unless a payment that runs later (a standing order) can be set up
+// for `amount` (minor units of the source currency): the per-transaction
+// limit and, unless paying an established payee, the cooling-off cap.
+// The other limits depend on usage and are checked on every run.
+const assertCanSchedule = async ({ customer, source, toAccount, amount }) => {
+  const destination = await Account.findOne({ accountNumber: toAccount });
+
+  if (!destination) {
+    throw new HttpError(404, 'Recipient account not found');
+  }
+
+  if (destination.customer.equals(customer._id)) return;
+
+  const { amount: limitAmount } = await exchangeRates.convert(amount, source.currency, LIMIT_CURRENCY);
+
+  await limits.assertPerTransactionLimit({ account: source, limitAmount });
+  await payees.assertCoolingOffLimit({ customer, destination, limitAmount });
+};
+
+module.exports = {
+  LIMIT_CURRENCY,
+  executeTransfer,
+  assertCanSchedule
+};
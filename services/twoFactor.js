@@ -0,0 +1,240 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const HttpError = require('../utils/httpError');
+const totp = require('../utils/totp');
+const { toMinor } = require('../utils/money');
+const { sendMail } = require('./mailer');
+const { convert } = require('./exchangeRates');
+const { LIMIT_CURRENCY } = require('./limits');
+
+const ISSUER = process.env.TOTP_ISSUER || 'Online Banking';
+const EMAIL_CODE_TTL_MS = 10 * 60 * 1000;
+const MAX_EMAIL_CODE_ATTEMPTS = 5;
+// A new email code replaces the last one, so sends are spaced out
+const EMAIL_CODE_COOLDOWN_MS = (parseInt(process.env.CODE_RESEND_COOLDOWN_SECONDS) || 60) * 1000;
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_TTL = '5m';
+
+const hashCode = (code) => crypto.createHash('sha256').update(String(code)).digest('hex');
+
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return { codes, hashes: codes.map(hashCode) };
+};
+
+// Start TOTP enrollment. The secret is only active once confirmed.
+const beginEnrollment = async (user) => {
+  const secret = totp.generateSecret();
+
+  user.twoFactor.pendingSecret = secret;
+  await user.save();
+
+  return {
+    secret,
+    otpauthUri: totp.buildProvisioningUri({
+      secret,
+      accountName: user.email,
+      issuer: ISSUER
+    })
+  };
+};
+
+// Confirm enrollment with a code from the app. Returns the recovery codes,
+// which are only ever shown this once.
+const confirmEnrollment = async (user, code) => {
+  const secret = user.twoFactor.pendingSecret;
+
+  if (!secret) {
+    throw new HttpError(400, 'Two-factor setup has not been started');
+  }
+
+  const step = totp.verifyCode(secret, code);
+  if (step === null) {
+    throw new HttpError(400, 'Invalid verification code');
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+
+  user.twoFactor.secret = secret;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.lastUsedStep = step;
+  user.twoFactor.recoveryCodes = hashes;
+  user.twoFactorEnabled = true;
+  await user.save();
+
+  return codes;
+};
+
+const disable = async (user) => {
+  user.twoFactorEnabled = false;
+  user.twoFactor = {};
+  await user.save();
+};
+
+const regenerateRecoveryCodes = async (user) => {
+  const { codes, hashes } = generateRecoveryCodes();
+  user.twoFactor.recoveryCodes = hashes;
+  await user.save();
+  return codes;
+};
+
+// Email a one-time code, used as a fallback to the authenticator app and
+// for step-up when the customer has not enrolled TOTP
+const sendEmailCode = async (user, reason) => {
+  const lastSentAt = user.twoFactor.emailCode && user.twoFactor.emailCode.sentAt;
+  const waitMs = lastSentAt ? lastSentAt.getTime() + EMAIL_CODE_COOLDOWN_MS - Date.now() : 0;
+
+  if (waitMs > 0) {
+    throw new HttpError(429, 'A code was sent recently. Please wait before requesting another.', {
+      retryAfter: Math.ceil(waitMs / 1000)
+    });
+  }
+
+  const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+
+  user.twoFactor.emailCode = {
+    hash: hashCode(code),
+    expiresAt: new Date(Date.now() + EMAIL_CODE_TTL_MS),
+    attempts: 0,
+    sentAt: new Date()
+  };
+  await user.save();
+
+  await sendMail({
+    to: user.email,
+    subject: 'Your verification code',
+    text: `Your verification code for ${reason} is ${code}. It expires in 10 minutes. If you did not request this, please contact us immediately.`
+  });
+};
+
+const verifyEmailCode = (user, code) => {
+  const emailCode = user.twoFactor.emailCode;
+
+  if (!emailCode || !emailCode.hash || emailCode.expiresAt < new Date()) {
+    return false;
+  }
+
+  if (emailCode.attempts >= MAX_EMAIL_CODE_ATTEMPTS) {
+    return false;
+  }
+
+  if (emailCode.hash !== hashCode(code)) {
+    emailCode.attempts += 1;
+    return false;
+  }
+
+  user.twoFactor.emailCode = undefined;
+  return true;
+};
+
+const verifyTotp = (user, code) => {
+  const step = totp.verifyCode(user.twoFactor.secret, code);
+
+  if (step === null || step <= (user.twoFactor.lastUsedStep || 0)) {
+    return false;
+  }
+
+  user.twoFactor.lastUsedStep = step;
+  return true;
+};
+
+const verifyRecoveryCode = (user, code) => {
+  const hash = hashCode(String(code).trim().toLowerCase());
+  const index = user.twoFactor.recoveryCodes.indexOf(hash);
+
+  if (index === -1) return false;
+
+  // Each recovery code works once
+  user.twoFactor.recoveryCodes.splice(index, 1);
+  return true;
+};
+
+// Methods the customer can currently use as a second factor
+const availableMethods = (user) => (
+  user.twoFactorEnabled ? ['totp', 'email', 'recovery'] : ['email']
+);
+
+// Check a second factor. `user` must be loaded with its twoFactor fields.
+const verifySecondFactor = async (user, { method, code }) => {
+  if (!code || !availableMethods(user).includes(method)) return false;
+
+  let valid = false;
+  if (method === 'totp') valid = verifyTotp(user, code);
+  if (method === 'email') valid = verifyEmailCode(user, code);
+  if (method === 'recovery') valid = verifyRecoveryCode(user, code);
+
+  await user.save();
+  return valid;
+};
+
+// Short-lived token proving the password was correct, exchanged for a
+// real JWT once the second factor is verified
+const createChallengeToken = (user) => jwt.sign(
+  { userId: user._id, purpose: '2fa-challenge' },
+  process.env.JWT_SECRET,
+  { expiresIn: CHALLENGE_TTL }
+);
+
+const verifyChallengeToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.purpose !== '2fa-challenge') throw new Error();
+    return decoded.userId;
+  } catch (error) {
+    throw new HttpError(401, 'Two-factor challenge is invalid or has expired');
+  }
+};
+
+// Transfers at or above this amount need a second factor.
+// STEP_UP_2FA_THRESHOLD is in major units of LIMIT_CURRENCY (default 1000).
+const getStepUpThreshold = () => toMinor(process.env.STEP_UP_2FA_THRESHOLD || '1000', LIMIT_CURRENCY);
+
+const requiresStepUp = async (amount, currency) => {
+  const { amount: limitAmount } = await convert(amount, currency, LIMIT_CURRENCY);
+  return limitAmount >= getStepUpThreshold();
+};
+
+// Throw unless a high-value transfer carries a valid second factor.
+// `user` must be loaded with its twoFactor fields.
+const assertStepUp = async (user, { amount, currency, method, code }) => {
+  if (!(await requiresStepUp(amount, currency))) return;
+
+  const methods = availableMethods(user);
+
+  if (!code) {
+    throw new HttpError(403, 'Two-factor verification required for this amount', {
+      stepUpRequired: true,
+      methods
+    });
+  }
+
+  const valid = await verifySecondFactor(user, {
+    method: method || methods[0],
+    code
+  });
+
+  if (!valid) {
+    throw new HttpError(403, 'Invalid two-factor code', {
+      stepUpRequired: true,
+      methods
+    });
+  }
+};
+
+module.exports = {
+  beginEnrollment,
+  confirmEnrollment,
+  disable,
+  regenerateRecoveryCodes,
+  sendEmailCode,
+  availableMethods,
+  verifySecondFactor,
+  createChallengeToken,
+  verifyChallengeToken,
+  requiresStepUp,
+  assertStepUp
+};
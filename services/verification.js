@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/user');
+const HttpError = require('../utils/httpError');
+const { sendMail } = require('./mailer');
+const { sendSms } = require('./sms');
+
+const EMAIL_TOKEN_TTL = process.env.EMAIL_VERIFICATION_TTL || '24h';
+const PHONE_CODE_TTL_MS = 10 * 60 * 1000;
+const MAX_PHONE_CODE_ATTEMPTS = 5;
+// Minimum gap between two verification messages to the same customer
+const RESEND_COOLDOWN_MS = (parseInt(process.env.CODE_RESEND_COOLDOWN_SECONDS) || 60) * 1000;
+
+const hashCode = (code) => crypto.createHash('sha256').update(String(code)).digest('hex');
+
+// Throw 429 while the last message sent at `sentAt` is too recent
+const assertCooledDown = (sentAt) => {
+  const waitMs = sentAt ? sentAt.getTime() + RESEND_COOLDOWN_MS - Date.now() : 0;
+
+  if (waitMs > 0) {
+    throw new HttpError(429, 'A verification message was sent recently. Please wait before requesting another.', {
+      retryAfter: Math.ceil(waitMs / 1000)
+    });
+  }
+};
+
+// Address that is waiting to be verified
+const emailToVerify = (user) => user.pendingEmail || user.email;
+
+// Signed token bound to the address it was sent to, so a link for an old
+// address stops working once the email changes again
+const createEmailToken = (user) => jwt.sign(
+  { userId: user._id, email: emailToVerify(user), purpose: 'email-verify' },
+  process.env.JWT_SECRET,
+  { expiresIn: EMAIL_TOKEN_TTL }
+);
+
+const sendEmailVerification = async (user) => {
+  const token = createEmailToken(user);
+  const link = `${process.env.FRONTEND_URL || 'http://localhost:5173'}/verify-email?token=${token}`;
+
+  await sendMail({
+    to: emailToVerify(user),
+    subject: 'Verify your email address',
+    text: `Please confirm your email address by opening this link: ${link}\n\nThe link expires in ${EMAIL_TOKEN_TTL}. If you did not request this, you can ignore this email.`
+  });
+
+  await User.updateOne({ _id: user._id }, { emailVerificationSentAt: new Date() });
+};
+
+// Send the verification link again, at most once per cooldown
+const resendEmailVerification = async (user) => {
+  assertCooledDown(user.emailVerificationSentAt);
+  await sendEmailVerification(user);
+};
+
+// Returns the user id and address the token was issued for
+const verifyEmailToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.purpose !== 'email-verify') throw new Error();
+    return { userId: decoded.userId, email: decoded.email };
+  } catch (error) {
+    throw new HttpError(400, 'Verification link is invalid or has expired');
+  }
+};
+
+const sendPhoneCode = async (user) => {
+  assertCooledDown(user.phoneVerification && user.phoneVerification.sentAt);
+
+  const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+
+  user.phoneVerification = {
+    hash: hashCode(code),
+    expiresAt: new Date(Date.now() + PHONE_CODE_TTL_MS),
+    attempts: 0,
+    sentAt: new Date()
+  };
+  await user.save();
+
+  await sendSms(user.phone, `Your verification code is ${code}. It expires in 10 minutes.`);
+};
+
+const verifyPhoneCode = async (user, code) => {
+  const pending = user.phoneVerification;
+
+  if (!pending || !pending.hash || pending.expiresAt < new Date()) {
+    throw new HttpError(400, 'No valid verification code. Please request a new one.');
+  }
+
+  if (pending.attempts >= MAX_PHONE_CODE_ATTEMPTS) {
+    throw new HttpError(400, 'Too many attempts. Please request a new code.');
+  }
+
+  if (pending.hash !== hashCode(code)) {
+    pending.attempts += 1;
+    await user.save();
+    throw new HttpError(400, 'Invalid verification code');
+  }
+
+  user.phoneVerified = true;
+  user.phoneVerification = undefined;
+  await user.save();
+};
+
+// Policy: with REQUIRE_VERIFIED_EMAIL_FOR_TRANSFERS=true, customers cannot
+// send money until their email address is verified
+const assertCanTransfer = (user) => {
+  if (process.env.REQUIRE_VERIFIED_EMAIL_FOR_TRANSFERS === 'true' && !user.emailVerified) {
+    throw new HttpError(403, 'Please verify your email address before making transfers');
+  }
+};
+
+module.exports = {
+  sendEmailVerification,
+  resendEmailVerification,
+  verifyEmailToken,
+  sendPhoneCode,
+  verifyPhoneCode,
+  assertCanTransfer
+};
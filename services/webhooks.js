@@ -0,0 +1,344 @@
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const net = require('net');
+const { Agent, fetch } = require('undici');
+const Webhook = require('../models/webhook');
+const WebhookDelivery = require('../models/webhookDelivery');
+const HttpError = require('../utils/httpError');
+
+// Outbound webhooks. emit() records one WebhookDelivery per subscribed
+// webhook and sends it straight away; failed sends are retried by the
+// scheduler with exponential backoff.
+//
+// Every request carries
+//   X-Webhook-Id:        event id (the same on retries and redeliveries)
+//   X-Webhook-Event:     event name
+//   X-Webhook-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+// keyed with the webhook's secret.
+
+const EVENTS = [
+  'transaction.created',
+  'transaction.completed',
+  'transaction.failed',
+  'transaction.cancelled',
+  'transaction.scheduled',
+  'account.status_changed'
+];
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const RETRY_BASE_MS = 30 * 1000;
+const REQUEST_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10 * 1000;
+const LOCK_DURATION_MS = REQUEST_TIMEOUT_MS + 60 * 1000;
+const BATCH_SIZE = 50;
+const MAX_LOGGED_ATTEMPTS = 20;
+
+// Receivers must be on the public internet: requests to internal hosts
+// would let customers probe the network through the delivery log.
+// WEBHOOK_ALLOW_PRIVATE_HOSTS=true lifts this for local development.
+const BLOCKED_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED_RANGES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['64:ff9b::', 96],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+const allowPrivateHosts = () => process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS === 'true';
+
+const isBlockedAddress = (address) => {
+  const family = net.isIP(address);
+  return !family || BLOCKED_RANGES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+const hostnameOf = (url) => new URL(url).hostname.replace(/^\[|\]$/g, '').toLowerCase();
+
+// Whether a URL may be registered: no IP addresses or local hostnames
+const isAllowedUrl = (url) => {
+  if (allowPrivateHosts()) return true;
+
+  try {
+    const hostname = hostnameOf(url);
+    return !net.isIP(hostname)
+      && hostname !== 'localhost'
+      && !/\.(localhost|local|internal)$/.test(hostname);
+  } catch (error) {
+    return false;
+  }
+};
+
+// Resolve the URL's host once and throw unless every address is public.
+// The request is then pinned to the returned address, so a second DNS
+// answer cannot point it somewhere else.
+const resolvePublicHost = async (url) => {
+  const addresses = await dns.lookup(hostnameOf(url), { all: true, verbatim: true });
+
+  if (!addresses.length) {
+    throw new Error('Webhook URL does not resolve');
+  }
+
+  if (!allowPrivateHosts() && addresses.some(({ address }) => isBlockedAddress(address))) {
+    throw new Error('Webhook URL does not resolve to a public address');
+  }
+
+  return addresses[0];
+};
+
+// Connects every request to `address` whatever the URL's host resolves
+// to; TLS still verifies the certificate against the hostname
+const pinnedAgent = ({ address, family }) => new Agent({
+  connect: {
+    lookup: (hostname, options, callback) => {
+      if (options && options.all) {
+        return callback(null, [{ address, family }]);
+      }
+      callback(null, address, family);
+    }
+  }
+});
+
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+
+const sign = (secret, timestamp, body) => crypto
+  .createHmac('sha256', secret)
+  .update(`${timestamp}.${body}`)
+  .digest('hex');
+
+const signatureHeader = (secret, body, now = new Date()) => {
+  const timestamp = Math.floor(now.getTime() / 1000);
+  return `t=${timestamp},v1=${sign(secret, timestamp, body)}`;
+};
+
+// Fields of a transaction that webhook receivers get; risk and approval
+// details stay internal
+const transactionPayload = (transaction) => ({
+  id: transaction._id,
+  transactionId: transaction.transactionId,
+  type: transaction.type,
+  status: transaction.status,
+  category: transaction.category,
+  amount: transaction.amount,
+  netAmount: transaction.netAmount,
+  fees: transaction.fees,
+  currency: transaction.currency,
+  description: transaction.description,
+  sender: transaction.sender,
+  receiver: transaction.receiver,
+  linkedTransaction: transaction.linkedTransaction,
+  standingOrder: transaction.standingOrder,
+  createdAt: transaction.createdAt,
+  completedAt: transaction.completedAt
+});
+
+// Send a claimed delivery once and record the attempt
+const attempt = async (delivery, webhook) => {
+  const startedAt = Date.now();
+  const entry = { at: new Date(startedAt) };
+
+  delivery.attempts += 1;
+
+  try {
+    if (!webhook || !webhook.active) {
+      throw new Error('Webhook is disabled or has been deleted');
+    }
+
+    // Checked on every attempt, as DNS can change after registration
+    const dispatcher = pinnedAgent(await resolvePublicHost(webhook.url));
+
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'Bank-Webhooks/1.0',
+        'X-Webhook-Id': delivery.eventId,
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Signature': signatureHeader(webhook.secret, delivery.payload)
+      },
+      body: delivery.payload,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+      dispatcher
+    }).finally(() => dispatcher.destroy());
+
+    entry.responseStatus = response.status;
+    if (!response.ok) {
+      throw new Error(`Endpoint responded with HTTP ${response.status}`);
+    }
+
+    delivery.status = 'succeeded';
+    delivery.deliveredAt = new Date();
+    delivery.lastError = undefined;
+  } catch (error) {
+    entry.error = error.name === 'TimeoutError' ? 'Request timed out' : error.message;
+    delivery.lastError = entry.error;
+
+    // A deleted or disabled webhook will not come back by retrying
+    if (delivery.attempts >= MAX_ATTEMPTS || !webhook || !webhook.active) {
+      delivery.status = 'failed';
+    } else {
+      delivery.nextAttemptAt = new Date(Date.now() + RETRY_BASE_MS * Math.pow(2, delivery.attempts - 1));
+    }
+  }
+
+  entry.durationMs = Date.now() - startedAt;
+  delivery.lastResponseStatus = entry.responseStatus;
+  delivery.attemptLog.push(entry);
+  if (delivery.attemptLog.length > MAX_LOGGED_ATTEMPTS) delivery.attemptLog.shift();
+  delivery.lockedUntil = undefined;
+
+  await delivery.save();
+  return delivery;
+};
+
+const sendNow = (delivery, webhook) => {
+  attempt(delivery, webhook).catch(err => console.error('Webhook delivery error:', err));
+};
+
+// Deliver `event` to every active webhook subscribed to it: 'all' webhooks
+// always, 'own' webhooks when `ownerId` is theirs. Never throws, so a
+// webhook problem cannot fail the action that triggered it.
+const emit = async (event, data, ownerId) => {
+  try {
+    const webhooks = await Webhook.find({
+      active: true,
+      events: event,
+      $or: [
+        { scope: 'all' },
+        ...(ownerId ? [{ scope: 'own', owner: ownerId }] : [])
+      ]
+    }).select('+secret');
+
+    if (!webhooks.length) return [];
+
+    const eventId = `evt_${crypto.randomBytes(12).toString('hex')}`;
+    const payload = JSON.stringify({
+      id: eventId,
+      type: event,
+      createdAt: new Date().toISOString(),
+      data
+    });
+
+    const deliveries = await WebhookDelivery.insertMany(webhooks.map(webhook => ({
+      webhook: webhook._id,
+      eventId,
+      event,
+      payload,
+      // Claimed for the first attempt below
+      lockedUntil: new Date(Date.now() + LOCK_DURATION_MS)
+    })));
+
+    deliveries.forEach((delivery, i) => sendNow(delivery, webhooks[i]));
+
+    return deliveries;
+  } catch (error) {
+    console.error(`Webhook emit error (${event}):`, error);
+    return [];
+  }
+};
+
+// Events for a transaction as it is recorded. A transaction that is
+// already final when it is created also gets its completed/failed event.
+const transactionCreated = async (transaction) => {
+  if (!transaction) return;
+
+  await emit('transaction.created', transactionPayload(transaction), transaction.userId);
+  await transactionUpdated(transaction);
+};
+
+// Event for a transaction that moved to a final status
+const transactionUpdated = async (transaction) => {
+  if (!transaction) return;
+
+  const event = {
+    completed: 'transaction.completed',
+    failed: 'transaction.failed',
+    cancelled: 'transaction.cancelled'
+  }[transaction.status];
+
+  if (event) {
+    await emit(event, transactionPayload(transaction), transaction.userId);
+  }
+};
+
+// Send a past delivery again as a new delivery with the same event id
+const redeliver = async (deliveryId, webhookId, actor) => {
+  const original = await WebhookDelivery.findOne({ _id: deliveryId, webhook: webhookId });
+
+  if (!original) {
+    throw new HttpError(404, 'Delivery not found');
+  }
+
+  const webhook = await Webhook.findById(webhookId).select('+secret');
+
+  if (!webhook || !webhook.active) {
+    throw new HttpError(400, 'Webhook is disabled');
+  }
+
+  const delivery = await WebhookDelivery.create({
+    webhook: webhook._id,
+    eventId: original.eventId,
+    event: original.event,
+    payload: original.payload,
+    redeliveryOf: original._id,
+    redeliveredBy: actor,
+    lockedUntil: new Date(Date.now() + LOCK_DURATION_MS)
+  });
+
+  // Wait for the attempt so the caller sees the result
+  return attempt(delivery, webhook);
+};
+
+// Retry pending deliveries that are due, including any whose first
+// attempt was interrupted
+const processQueue = async (now = new Date()) => {
+  let processed = 0;
+
+  while (processed < BATCH_SIZE) {
+    const delivery = await WebhookDelivery.findOneAndUpdate(
+      {
+        status: 'pending',
+        nextAttemptAt: { $lte: now },
+        $or: [
+          { lockedUntil: null },
+          { lockedUntil: { $lte: now } }
+        ]
+      },
+      { lockedUntil: new Date(Date.now() + LOCK_DURATION_MS) },
+      { new: true, sort: { nextAttemptAt: 1 } }
+    );
+
+    if (!delivery) break;
+
+    await attempt(delivery, await Webhook.findById(delivery.webhook).select('+secret'));
+    processed++;
+  }
+
+  return processed;
+};
+
+module.exports = {
+  EVENTS,
+  isAllowedUrl,
+  generateSecret,
+  signatureHeader,
+  transactionPayload,
+  emit,
+  transactionCreated,
+  transactionUpdated,
+  redeliver,
+  processQueue
+};
@@ -0,0 +1,14 @@
+// Error carrying an HTTP status code. Thrown from services so route
+// handlers (and the error middleware in server.js) can answer with the
+// right status instead of a generic 500. `details` are extra fields to
+// include in the JSON response.
+class HttpError extends Error {
+  constructor(status, message, details) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+module.exports = HttpError;
@@ -0,0 +1,79 @@
+const HttpError = require('./httpError');
+
+// Number of decimal places in each supported currency's minor unit.
+// All stored amounts are integers in these minor units (cents for USD).
+const CURRENCY_EXPONENTS = {
+  USD: 2,
+  EUR: 2,
+  GBP: 2,
+  CAD: 2,
+  AUD: 2,
+  CHF: 2,
+  NGN: 2,
+  JPY: 0
+};
+
+const SUPPORTED_CURRENCIES = Object.keys(CURRENCY_EXPONENTS);
+
+const getExponent = (currency) => {
+  const exponent = CURRENCY_EXPONENTS[currency];
+  if (exponent === undefined) {
+    throw new HttpError(400, `Unsupported currency ${currency}`);
+  }
+  return exponent;
+};
+
+// Convert a decimal amount from a request ("12.34" or 12.34) to minor
+// units without going through floating-point multiplication
+const toMinor = (amount, currency) => {
+  const exponent = getExponent(currency);
+  const text = String(amount).trim();
+  const match = /^(\d+)(?:\.(\d+))?$/.exec(text);
+
+  if (!match) {
+    throw new HttpError(400, `Invalid amount ${text}`);
+  }
+
+  const [, whole, fraction = ''] = match;
+
+  if (fraction.length > exponent) {
+    throw new HttpError(400, `${currency} amounts allow at most ${exponent} decimal places`);
+  }
+
+  return parseInt(whole + fraction.padEnd(exponent, '0'), 10);
+};
+
+// Minor units back to a decimal number, for display only
+const fromMinor = (amount, currency) => amount / Math.pow(10, getExponent(currency));
+
+const formatMoney = (amount, currency) => {
+  const exponent = getExponent(currency);
+  return `${(amount / Math.pow(10, exponent)).toFixed(exponent)} ${currency}`;
+};
+
+// Exact decimal string for minor units ("-1234.50"), for exports
+const toDecimalString = (amount, currency) => {
+  const exponent = getExponent(currency);
+  const sign = amount < 0 ? '-' : '';
+  const digits = String(Math.abs(amount)).padStart(exponent + 1, '0');
+
+  if (exponent === 0) return `${sign}${digits}`;
+  return `${sign}${digits.slice(0, -exponent)}.${digits.slice(-exponent)}`;
+};
+
+// Schema option for amount fields
+const integerAmount = {
+  validator: Number.isInteger,
+  message: '{PATH} must be an integer amount in minor units'
+};
+
+module.exports = {
+  CURRENCY_EXPONENTS,
+  SUPPORTED_CURRENCIES,
+  getExponent,
+  toMinor,
+  fromMinor,
+  formatMoney,
+  toDecimalString,
+  integerAmount
+};
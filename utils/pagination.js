@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+const HttpError = require('./httpError');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const encodeCursor = (doc) => Buffer
+  .from(JSON.stringify({ c: doc.createdAt, i: doc._id }))
+  .toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const { c, i } = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    const createdAt = new Date(c);
+
+    if (isNaN(createdAt) || !mongoose.Types.ObjectId.isValid(i)) throw new Error();
+
+    return { createdAt, _id: new mongoose.Types.ObjectId(i) };
+  } catch (error) {
+    throw new HttpError(400, 'Invalid cursor');
+  }
+};
+
+// Parse "-amount" / "createdAt" against the allow-list
+const parseSort = (sort, sortFields, defaultSort) => {
+  if (!sort) return defaultSort;
+
+  const direction = sort.startsWith('-') ? -1 : 1;
+  const field = sort.replace(/^[-+]/, '');
+
+  if (!sortFields.includes(field)) {
+    throw new HttpError(400, `Cannot sort by "${field}". Allowed: ${sortFields.join(', ')}`);
+  }
+
+  return { [field]: direction };
+};
+
+// Paginate a query for list routes. Supports two modes:
+//  - offset: ?page=2&limit=20
+//  - cursor: ?cursor=<nextCursor>&limit=20 (keyset on createdAt/_id, so
+//    only createdAt ordering is allowed)
+// Always resolves to { items, total, nextCursor, page, limit }.
+const paginate = async (Model, query, params = {}, options = {}) => {
+  const {
+    sortFields = ['createdAt'],
+    defaultSort = { createdAt: -1 },
+    maxLimit = MAX_LIMIT,
+    populate,
+    select
+  } = options;
+
+  const limit = Math.min(Math.max(parseInt(params.limit) || DEFAULT_LIMIT, 1), maxLimit);
+  const sort = parseSort(params.sort, sortFields, defaultSort);
+  const sortField = Object.keys(sort)[0];
+  const direction = sort[sortField];
+
+  let filter = query;
+  let page = null;
+  let skip = 0;
+
+  if (params.cursor) {
+    if (sortField !== 'createdAt') {
+      throw new HttpError(400, 'Cursor pagination only supports sorting by createdAt');
+    }
+
+    const after = decodeCursor(params.cursor);
+    const op = direction === -1 ? '$lt' : '$gt';
+
+    filter = {
+      $and: [
+        query,
+        {
+          $or: [
+            { createdAt: { [op]: after.createdAt } },
+            { createdAt: after.createdAt, _id: { [op]: after._id } }
+          ]
+        }
+      ]
+    };
+  } else {
+    page = Math.max(parseInt(params.page) || 1, 1);
+    skip = (page - 1) * limit;
+  }
+
+  // _id breaks ties so ordering is stable between pages
+  const fullSort = { ...sort, _id: direction };
+
+  let find = Model.find(filter).sort(fullSort).skip(skip).limit(limit + 1);
+  if (populate) find = find.populate(populate);
+  if (select) find = find.select(select);
+
+  const [docs, total] = await Promise.all([
+    find,
+    Model.countDocuments(query)
+  ]);
+
+  const hasMore = docs.length > limit;
+  const items = hasMore ? docs.slice(0, limit) : docs;
+
+  return {
+    items,
+    total,
+    nextCursor: hasMore && sortField === 'createdAt'
+      ? encodeCursor(items[items.length - 1])
+      : null,
+    page,
+    limit
+  };
+};
+
+module.exports = { paginate, DEFAULT_LIMIT, MAX_LIMIT };
@@ -0,0 +1,107 @@
+// Minimal PDF 1.4 writer for text documents such as statements. Supports
+// the standard Helvetica, Helvetica-Bold and Courier fonts (no embedding)
+// and straight lines, which is all a statement needs.
+//
+//   const doc = createDocument();
+//   const page = doc.addPage();
+//   page.text('Hello', 40, 800, { size: 12, font: 'bold' });
+//   page.line(40, 790, 555, 790);
+//   const buffer = doc.toBuffer();
+//
+// Coordinates are in points from the bottom-left corner of an A4 page.
+
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+
+const FONTS = {
+  regular: { key: 'F1', name: 'Helvetica' },
+  bold: { key: 'F2', name: 'Helvetica-Bold' },
+  mono: { key: 'F3', name: 'Courier' }
+};
+
+// Courier glyphs are all 600/1000 em wide, which makes right-aligning
+// numbers possible without font metrics
+const MONO_CHAR_WIDTH = 0.6;
+
+// Strings are written as WinAnsi; anything outside Latin-1 (bar the euro
+// sign) is replaced
+const encodeText = (value) => String(value)
+  .replace(/€/g, '\x80')
+  .replace(/[^\x20-\xff]/g, '?')
+  .replace(/[\\()]/g, match => `\\${match}`);
+
+const createPage = () => {
+  const ops = [];
+
+  return {
+    ops,
+    text(value, x, y, { size = 10, font = 'regular' } = {}) {
+      const { key } = FONTS[font] || FONTS.regular;
+      ops.push(`BT /${key} ${size} Tf ${x.toFixed(2)} ${y.toFixed(2)} Td (${encodeText(value)}) Tj ET`);
+    },
+    // Right-aligned monospaced text ending at x
+    textRight(value, x, y, { size = 10 } = {}) {
+      const width = String(value).length * size * MONO_CHAR_WIDTH;
+      this.text(value, x - width, y, { size, font: 'mono' });
+    },
+    line(x1, y1, x2, y2, { width = 0.5 } = {}) {
+      ops.push(`${width} w ${x1} ${y1} m ${x2} ${y2} l S`);
+    }
+  };
+};
+
+const createDocument = () => {
+  const pages = [];
+
+  return {
+    width: PAGE_WIDTH,
+    height: PAGE_HEIGHT,
+    pages,
+    addPage() {
+      const page = createPage();
+      pages.push(page);
+      return page;
+    },
+    toBuffer() {
+      const objects = [];
+      const add = (body) => {
+        objects.push(body);
+        return objects.length;
+      };
+
+      const catalogId = add(null);
+      const pagesId = add(null);
+      const fontIds = Object.values(FONTS).map(({ key, name }) => ({
+        key,
+        id: add(`<< /Type /Font /Subtype /Type1 /BaseFont /${name} /Encoding /WinAnsiEncoding >>`)
+      }));
+      const fontResources = fontIds.map(({ key, id }) => `/${key} ${id} 0 R`).join(' ');
+
+      const pageIds = pages.map(page => {
+        const content = page.ops.join('\n');
+        const contentId = add(`<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`);
+        return add(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Resources << /Font << ${fontResources} >> >> /Contents ${contentId} 0 R >>`);
+      });
+
+      objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+      objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+      let output = '%PDF-1.4\n';
+      const offsets = [];
+
+      objects.forEach((body, index) => {
+        offsets.push(Buffer.byteLength(output, 'latin1'));
+        output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+      });
+
+      const xrefOffset = Buffer.byteLength(output, 'latin1');
+      output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+      output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+      output += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+      return Buffer.from(output, 'latin1');
+    }
+  };
+};
+
+module.exports = { createDocument };
@@ -0,0 +1,24 @@
+const HttpError = require('./httpError');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Date range [start, end) from ?startDate&endDate (default: the last 30
+// days). A date-only endDate includes that whole day.
+const parsePeriod = ({ startDate, endDate }) => {
+  const end = endDate ? new Date(endDate) : new Date();
+  if (endDate && /^\d{4}-\d{2}-\d{2}$/.test(endDate)) {
+    end.setUTCDate(end.getUTCDate() + 1);
+  }
+
+  const start = startDate
+    ? new Date(startDate)
+    : new Date(end.getTime() - 30 * DAY_MS);
+
+  if (isNaN(start) || isNaN(end) || start >= end) {
+    throw new HttpError(400, 'Invalid period');
+  }
+
+  return { start, end };
+};
+
+module.exports = { parsePeriod };
@@ -0,0 +1,41 @@
+// Date arithmetic for standing orders. All calculations are in UTC.
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+const addMonths = (date, months, dayOfMonth) => {
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth() + months;
+  const targetYear = year + Math.floor(month / 12);
+  const targetMonth = ((month % 12) + 12) % 12;
+  const day = Math.min(dayOfMonth || date.getUTCDate(), daysInMonth(targetYear, targetMonth));
+
+  const next = new Date(date);
+  next.setUTCFullYear(targetYear, targetMonth, day);
+  return next;
+};
+
+// Next run after `from` for a schedule, or null when it does not repeat
+const computeNextRun = (schedule, from) => {
+  const interval = schedule.interval || 1;
+
+  switch (schedule.frequency) {
+    case 'daily':
+      return new Date(from.getTime() + interval * 24 * 60 * 60 * 1000);
+    case 'weekly':
+      return new Date(from.getTime() + interval * 7 * 24 * 60 * 60 * 1000);
+    case 'monthly':
+      return addMonths(from, interval, schedule.dayOfMonth);
+    default:
+      return null;
+  }
+};
+
+// Whether another run is allowed at `date` given the end conditions
+const isWithinLimits = (order, date) => {
+  if (!date) return false;
+  if (order.endDate && date > order.endDate) return false;
+  if (order.maxOccurrences && order.occurrences >= order.maxOccurrences) return false;
+  return true;
+};
+
+module.exports = { computeNextRun, isWithinLimits };
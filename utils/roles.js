@@ -0,0 +1,53 @@
+// Staff roles and the permissions each one grants. Customers have no
+// roles. superadmin is granted everything.
+const ROLE_PERMISSIONS = {
+  // Read-only customer view for the help desk
+  support: [
+    'users:read',
+    'accounts:read',
+    'transactions:read',
+    'stats:read'
+  ],
+  // Back-office processing
+  operations: [
+    'users:read',
+    'users:unlock',
+    'accounts:read',
+    'transactions:read',
+    'transactions:approve',
+    'limits:manage',
+    'webhooks:manage',
+    'ledger:reconcile',
+    'stats:read'
+  ],
+  compliance: [
+    'users:read',
+    'accounts:read',
+    'accounts:freeze',
+    'transactions:read',
+    'audit:read',
+    'ledger:reconcile',
+    'stats:read'
+  ],
+  superadmin: ['*']
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+const hasPermission = (roles = [], permission) => roles.some(role => {
+  const permissions = ROLE_PERMISSIONS[role] || [];
+  return permissions.includes('*') || permissions.includes(permission);
+});
+
+// Flattened permission list for a set of roles
+const permissionsFor = (roles = []) => {
+  if (roles.includes('superadmin')) return ['*'];
+  return [...new Set(roles.flatMap(role => ROLE_PERMISSIONS[role] || []))];
+};
+
+module.exports = {
+  ROLE_PERMISSIONS,
+  ROLES,
+  hasPermission,
+  permissionsFor
+};